@@ -1,11 +1,48 @@
 // ============================================================
 //  Voss Taxi Wallboard — Background Service Worker
-//  Updates the extension badge with live booking counts.
+//  Updates the extension badge with live booking counts,
+//  relays booking data from sub-frames to the top frame,
+//  feeds the dedicated wallboard window and raises desktop
+//  notifications.
 // ============================================================
 
-chrome.runtime.onMessage.addListener((msg) => {
-  if (msg.type !== 'vtBadgeUpdate') return;
+const TAXIPORTALEN_URLS = ['*://taxiportalen.no/*', '*://*.taxiportalen.no/*'];
 
+// Open wallboard windows (wallboard.html) and the last feed sent to them
+const wallboardPorts = new Set();
+let lastWallboardFeed = null;
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.type === 'vtBadgeUpdate') {
+    updateBadge(msg);
+  } else if (msg.type === 'vtSubFrameData') {
+    relaySubFrameData(msg, sender);
+  } else if (msg.type === 'vtWallboardFeed') {
+    relayWallboardFeed(msg, sender);
+  } else if (msg.type === 'vtWallboardQuery') {
+    sendResponse({ open: wallboardPorts.size > 0 });
+  } else if (msg.type === 'vtOpenWallboard') {
+    openWallboardWindow();
+  } else if (msg.type === 'vtNotify') {
+    showNotification(msg, sender);
+  } else if (msg.type === 'vtOpenOptions') {
+    openOptionsPage(msg.headers);
+  }
+});
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'vtWallboard') return;
+  wallboardPorts.add(port);
+  if (lastWallboardFeed) port.postMessage(lastWallboardFeed);
+  broadcastWallboardState();
+
+  port.onDisconnect.addListener(() => {
+    wallboardPorts.delete(port);
+    broadcastWallboardState();
+  });
+});
+
+function updateBadge(msg) {
   const { sendingCount, upcomingCount, totalCount } = msg;
 
   // Priority: show UNDER SENDING count (red), then upcoming (yellow), then total (blue)
@@ -21,7 +58,122 @@ chrome.runtime.onMessage.addListener((msg) => {
   } else {
     chrome.action.setBadgeText({ text: '' });
   }
+}
+
+// Sub-frames can't reach the top frame's content script directly (the grid
+// may live in a cross-origin frame), so forward their bookings to frame 0
+// of the same tab, tagged with the sending frame.
+function relaySubFrameData(msg, sender) {
+  if (!sender.tab || !sender.frameId) return;
+  chrome.tabs.sendMessage(sender.tab.id, {
+    type: 'vtSubFrameData',
+    frameId: sender.frameId,
+    frameUrl: sender.url || '',
+    bookings: msg.bookings,
+    tableFound: msg.tableFound,
+    schema: msg.schema,
+  }, { frameId: 0 }, () => {
+    // Top frame may not have a content script yet — ignore
+    void chrome.runtime.lastError;
+  });
+}
+
+// The Taxiportalen tab sends its merged bookings; pass them on to every
+// open wallboard window and keep the latest for windows that connect later
+function relayWallboardFeed(msg, sender) {
+  if (!sender.tab) return;
+  lastWallboardFeed = { ...msg, tabId: sender.tab.id };
+  for (const port of wallboardPorts) port.postMessage(lastWallboardFeed);
+}
+
+// Tell Taxiportalen tabs whether a window is open, so they switch between
+// the full overlay and the small status chip
+function broadcastWallboardState() {
+  const open = wallboardPorts.size > 0;
+  chrome.tabs.query({ url: TAXIPORTALEN_URLS }, (tabs) => {
+    for (const tab of tabs || []) {
+      chrome.tabs.sendMessage(tab.id, { type: 'vtWallboardState', open }, { frameId: 0 }, () => {
+        void chrome.runtime.lastError;
+      });
+    }
+  });
+}
+
+// Focus the existing wallboard window, or open one sized for a TV
+function openWallboardWindow() {
+  for (const port of wallboardPorts) {
+    if (port.sender && port.sender.tab) {
+      chrome.windows.update(port.sender.tab.windowId, { focused: true });
+      return;
+    }
+  }
+  chrome.windows.create({
+    url: chrome.runtime.getURL('wallboard.html'),
+    type: 'popup',
+    width: 1280,
+    height: 800,
+  });
+}
+
+// Content scripts can't open the options page themselves. Headers from the
+// schema banner are passed along so the alias editor can offer them.
+function openOptionsPage(headers) {
+  if (!headers || headers.length === 0) {
+    chrome.runtime.openOptionsPage();
+    return;
+  }
+  chrome.tabs.create({
+    url: chrome.runtime.getURL('options.html') + '#aliases=' + encodeURIComponent(JSON.stringify(headers)),
+  });
+}
+
+const NOTIFICATION_TITLES = {
+  underSending: 'UNDER SENDING',
+  utrop: 'UTROP',
+  cancelled: 'Fjernet',
+};
+
+// The notification id carries the tab and booking so a click can find them
+// again after the service worker has been restarted
+function showNotification(msg, sender) {
+  if (!sender.tab || !NOTIFICATION_TITLES[msg.event]) return;
+  const b = msg.booking;
+  const id = 'vt:' + JSON.stringify([sender.tab.id, b.id, msg.event]);
+  const time = msg.event === 'utrop' ? 'UTROP ' + b.utrop : 'Oppmøte ' + b.oppmote;
+  chrome.notifications.create(id, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: NOTIFICATION_TITLES[msg.event] + (b.taxi ? ' — Taxi ' + b.taxi : ''),
+    message: time + '\n' + (b.fra || '?') + ' → ' + (b.til || '?'),
+    priority: msg.event === 'underSending' ? 2 : 0,
+  });
+}
+
+// Bring the Taxiportalen tab forward and open the booking's detail view,
+// in the wallboard window too if one is open
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith('vt:')) return;
+  chrome.notifications.clear(notificationId);
+  let tabId, bookingId;
+  try {
+    [tabId, bookingId] = JSON.parse(notificationId.slice(3));
+  } catch (_) {
+    return;
+  }
+  const open = { type: 'vtOpenBooking', id: bookingId };
+  for (const port of wallboardPorts) port.postMessage(open);
+  chrome.tabs.update(tabId, { active: true }, (tab) => {
+    if (chrome.runtime.lastError || !tab) return;
+    chrome.windows.update(tab.windowId, { focused: true });
+    chrome.tabs.sendMessage(tabId, open, { frameId: 0 }, () => {
+      void chrome.runtime.lastError;
+    });
+  });
 });
 
+// Content scripts keep status history in chrome.storage.session, which is
+// only exposed to trusted contexts by default
+chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' });
+
 // Clear badge when extension starts
 chrome.action.setBadgeText({ text: '' });
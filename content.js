@@ -10,16 +10,31 @@
   // ----------------------------------------------------------
   //  Constants
   // ----------------------------------------------------------
-  const POLL_INTERVAL_MS = 4000;
-  const SCROLL_IDLE_MS = 45000;
-  const UNDER_SENDING_CHIME_MS = 30000;
-  const UPCOMING_MINUTES = 5;
-  const TIME_WINDOW_HOURS = 24;
-  const UTROP_BUCKET_SIZE = 5;
-  const MUTATION_DEBOUNCE_MS = 300;
+  // Tunable timing values live in settings.js (edited on the options page)
   const BADGE_UPDATE_MS = 5000;
 
-  // Recognised column names → normalised keys
+  // chrome.storage.session keys: per-booking status transitions, and the
+  // runtime state that has to survive TripViewCentral postbacks/reloads
+  // (the wallboard window keeps its own filter/search/chime state)
+  const STATUS_HISTORY_KEY = 'vtStatusHistory';
+  const SESSION_STATE_KEY = 'vtSessionState';
+  const WINDOW_SESSION_STATE_KEY = 'vtWindowSessionState';
+  const SESSION_SNAPSHOT_MAX_AGE_MS = 10 * 60000;
+
+  // chrome.storage.local key for acknowledged UNDER SENDING alarms
+  const ACKS_KEY = 'vtAcks';
+
+  // chrome.storage.local key for pinned bookings and dispatcher notes
+  const NOTES_KEY = 'vtNotes';
+
+  // chrome.storage.sync key for named search queries, shown as filter
+  // buttons ([{ name, query }]); their activeFilter is SAVED_FILTER_PREFIX + name
+  const SAVED_QUERIES_KEY = 'vtSavedQueries';
+  const SAVED_QUERIES_MAX = 12;
+  const SAVED_FILTER_PREFIX = 'saved:';
+
+  // Recognised column names → normalised keys (header aliases from the
+  // options page are tried first)
   const COLUMN_MAP = {
     'FAKTURNR': 'fakturnr',
     'REKVIRENT': 'rekvirent',
@@ -43,13 +58,8 @@
     'INTERNNR': 'internnr',
   };
 
-  const COMPLETED_STATUSES = new Set([
-    'JA-SVAR',
-    'KLAR FOR FAKTURERING',
-    'KONTANT',
-    'KREDITT',
-  ]);
-
+  // Badge CSS hooks for the known statuses (colours come from the status
+  // rules; the hooks carry animations such as the UNDER SENDING pulse)
   const STATUS_CSS = {
     'UNDER SENDING': 'under-sending',
     'JA-SVAR': 'ja-svar',
@@ -72,34 +82,150 @@
     { key: 'status',       label: 'STATUS',         sortKey: 'status'        },
   ];
 
+  // Fields listed in the expanded card detail drawer (times are shown separately)
+  const DETAIL_FIELDS = [
+    { key: 'turid',          label: 'TURID'          },
+    { key: 'fakturnr',       label: 'FAKTURNR'       },
+    { key: 'internnr',       label: 'INTERNNR'       },
+    { key: 'taxi',           label: 'TAXI'           },
+    { key: 'status',         label: 'STATUS'         },
+    { key: 'fra',            label: 'FRA'            },
+    { key: 'til',            label: 'TIL'            },
+    { key: 'navn',           label: 'NAVN'           },
+    { key: 'tlf',            label: 'TLF'            },
+    { key: 'rekvirent',      label: 'REKVIRENT'      },
+    { key: 'ref',            label: 'REF'            },
+    { key: 'bet',            label: 'BET'            },
+    { key: 'behandlingstid', label: 'BEHANDLINGSTID' },
+    { key: 'egenskap',       label: 'EGENSKAP'       },
+    { key: 'altturid',       label: 'ALTTURID'       },
+  ];
+
+  // Fields compared between parses. Critical ones matter for dispatch and
+  // get their own audible cue when they change.
+  const DIFF_FIELDS = [
+    { key: 'utropRaw',      label: 'UTROP',    critical: true, time: true },
+    { key: 'oppmoteRaw',    label: 'OPPMOTE',  critical: true, time: true },
+    { key: 'taxi',          label: 'TAXI',     critical: true },
+    { key: 'fra',           label: 'FRA',      critical: true },
+    { key: 'til',           label: 'TIL',      critical: true },
+    { key: 'status',        label: 'STATUS'   },
+    { key: 'navn',          label: 'NAVN'     },
+    { key: 'tlf',           label: 'TLF'      },
+    { key: 'meldingTilBil', label: 'MELDING'  },
+    { key: 'egenskap',      label: 'EGENSKAP' },
+    { key: 'bet',           label: 'BET'      },
+    { key: 'altturid',      label: 'ALTTURID' },
+    { key: 'rekvirent',     label: 'REKVIRENT' },
+    { key: 'ref',           label: 'REF'      },
+  ];
+
+  // Card element each diffed field is shown in, for the changed-field highlight
+  const DIFF_TARGETS = {
+    utropRaw: 'time', oppmoteRaw: 'time', taxi: 'taxi', fra: 'route', til: 'route',
+    navn: 'navn', status: 'status',
+  };
+
+  // L cycles through these: toolbar on top, toolbar as sidebar, one lane
+  // per taxi, Gantt timeline
+  const LAYOUT_MODES = ['top', 'side', 'lanes', 'timeline'];
+
+  // Optional parts of a card a view can hide; time, taxi and status always show
+  const CARD_FIELDS = [
+    { key: 'route', label: 'Route' },
+    { key: 'navn', label: 'Name' },
+    { key: 'melding', label: 'Message to car' },
+    { key: 'tlf', label: 'Phone' },
+    { key: 'egenskap', label: 'EGENSKAP' },
+    { key: 'behandlingstid', label: 'Handling time' },
+    { key: 'bet', label: 'BET' },
+    { key: 'altturid', label: 'ALTTURID' },
+  ];
+
+  // Auto-rotation between saved views for unattended displays (0 = off)
+  const VIEW_CYCLE_SECONDS = [0, 30, 60, 120, 300];
+
+  // Timeline zoom levels (hours across, centred on now) and tick spacing
+  const TIMELINE_ZOOM_HOURS = [2, 8, 24, 48];
+  const TIMELINE_TICK_MINUTES = { 2: 15, 8: 60, 24: 120, 48: 240 };
+
   const WEEKDAYS_NO = ['Sondag', 'Mandag', 'Tirsdag', 'Onsdag', 'Torsdag', 'Fredag', 'Lordag'];
   const MONTHS_NO = ['jan', 'feb', 'mar', 'apr', 'mai', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'des'];
 
   // ----------------------------------------------------------
   //  State
   // ----------------------------------------------------------
+  let settings = { ...VT_DEFAULT_SETTINGS };
+  let statusRules = VT_DEFAULT_STATUS_RULES; // edited on the options page
+  const statusRuleCache = new Map(); // status → matching rule (or null)
+  const unknownStatuses = new Map(); // status no rule matches → { count, firstSeen }
+  let headerAliases = [];      // [{ header, field }] from the options page
+  let capabilities = VT_DEFAULT_CAPABILITIES; // EGENSKAP dictionary from the options page
+  const capabilityCache = new Map(); // EGENSKAP + MELDING text → matching capabilities
+  let schema = null;           // last schema check: { ok, missing, unknown, signature }
+  let schemaDismissed = '';    // signature of a failing header row the user chose to ignore
   let bookings = [];
   let previousBookingIds = new Set();
-  let previousBookingsJSON = '';
+  let previousSnapshot = new Map(); // booking id → booking from the previous parse
+  let fieldChanges = {};       // booking id → { field: { from, to, at } }
+  let ghosts = {};             // booking id → { booking, removedAt } for rows that vanished
   let chimePlayed = new Set();
+  let overdueAlerted = {};     // booking id → when its overdue alarm last sounded
+  let taxiConflicts = {};      // booking id → [{ other, gapMin }] for double-booked taxis
   let lastScrollTime = Date.now();
   let overlayVisible = true;
   let muted = false;
   let searchQuery = '';
+  let searchCompiled = { test: null }; // compileQuery(searchQuery), or { test: null, error }
+  let savedQueries = [];       // [{ name, query }] from SAVED_QUERIES_KEY
+  let cardFields = new Set(CARD_FIELDS.map(f => f.key)); // CARD_FIELDS keys shown on cards
+  let views = VT_VIEW_KEYS.map(() => null); // saved view (or null) per number key
+  let activeView = -1;         // slot of the last applied view
+  let viewCycleSeconds = 0;    // one of VIEW_CYCLE_SECONDS
+  let viewCycleTimer = null;
+  let sessionRestored = false; // runtime state came back from a TripViewCentral reload
   let activeFilter = 'all';
   let underSendingInterval = null;
+  let lastChimeTier = 0;       // escalation tier of the last UNDER SENDING chime
   let mutationTimer = null;
+  let pollTimer = null;
+  let sessionSaveTimer = null;
   let lastParseTime = 0;
   let parseCount = 0;
   let tableFound = false;
+  let statusHistory = {};      // booking id → [{ status, at }], oldest first
+  let historySeen = {};        // booking id → when it was last in the table (not persisted)
+  let acks = {};               // booking id → { by, at } for acknowledged UNDER SENDING alarms
+  let notes = {};              // booking id → { pinned, text, by, at, when } kept by this computer
+  let pinStripEl = null;       // "Pinned" heading above the pinned cards
+  let chipMode = false;        // Taxiportalen tab while a wallboard window is open
+  let wallboardFeed = null;    // window mode: latest { bookings, tableFound, ... } from the tab
+  let subFrames = {};          // frameId → { bookings, tableFound, url, receivedAt }
   let expandedRowId = null;
+  const cardCache = new Map(); // booking id → { el, html, booking, upcoming, cls }
+  const dividerCache = new Map(); // day key → day divider element in the card list
+  let renderedDay = '';        // day key of the last render, for the midnight re-render
+  let lastStatsHtml = '';
   let sortColumn = 'utrop';    // default sort
   let sortDirection = 'asc';   // asc | desc
   let isFullscreen = false;
   let debugVisible = false;
   let lastDiagnostics = null;
-  let layoutMode = 'top';    // 'top' | 'side'
+  let layoutMode = 'top';    // one of LAYOUT_MODES
+  let displayedBookings = []; // filtered list of the last render, for the lane and timeline views
+  let lastLanesHtml = '';
+  let timelineZoomHours = 8; // one of TIMELINE_ZOOM_HOURS
+  let lastTimelineHtml = '';
   let rotated = false;
+  let privacy = false;         // mask passenger names, phones and messages (P)
+  let recordingOn = null;      // { active, startedAt } from VT_RECORDING_KEY
+  let recordIndex = null;      // this frame's VT_RECORDING_INDEX_KEY while it records
+  let recordStarting = false;  // clearing the previous recording's frames
+  let lastRecordedHtml = '';
+  let replay = null;           // replay page: { frames, index, doc, playing }
+  let replaySpeed = 1;         // one of REPLAY_SPEEDS
+  let replayClock = null;      // replay page: { simAt, realAt, speed } behind nowMs()
+  let replayTimer = null;
 
   // Consistent taxi number → color mapping
   const taxiColorCache = {};
@@ -115,7 +241,14 @@
   // ----------------------------------------------------------
   //  Helpers
   // ----------------------------------------------------------
-  function now() { return new Date(); }
+  // Booking time. Replay runs a simulated clock; everything measured against
+  // trip times (countdowns, ages, highlights) reads it through these two.
+  function nowMs() {
+    if (!replayClock) return Date.now();
+    return replayClock.simAt + (Date.now() - replayClock.realAt) * replayClock.speed;
+  }
+
+  function now() { return new Date(nowMs()); }
 
   function pad(n) { return String(n).padStart(2, '0'); }
 
@@ -135,6 +268,15 @@
       date.getFullYear();
   }
 
+  // Compact duration for timelines: "45s", "12m 05s", "2h 07m"
+  function formatDuration(ms) {
+    const secs = Math.max(0, Math.floor(ms / 1000));
+    if (secs < 60) return secs + 's';
+    const mins = Math.floor(secs / 60);
+    if (mins < 60) return mins + 'm ' + pad(secs % 60) + 's';
+    return Math.floor(mins / 60) + 'h ' + pad(mins % 60) + 'm';
+  }
+
   function timeSince(ts) {
     if (!ts) return 'never';
     const secs = Math.floor((Date.now() - ts) / 1000);
@@ -143,7 +285,7 @@
     return Math.floor(secs / 60) + 'm ago';
   }
 
-  function parseTimeString(str) {
+  function parseTimeString(str, ref) {
     if (!str || typeof str !== 'string') return null;
     str = str.trim();
     // Try: "YYYY-MM-DD HH:MM(:SS)" (ISO format, used by Taxiportalen)
@@ -160,44 +302,104 @@
       return new Date(year, parseInt(match[2], 10) - 1, parseInt(match[1], 10),
         parseInt(match[4], 10), parseInt(match[5], 10), parseInt(match[6] || 0, 10));
     }
-    // Try: "HH:MM(:SS)"
+    // Try: "HH:MM(:SS)" — no date, so take the day (yesterday, today or
+    // tomorrow) that puts it closest to ref: 23:50 seen at 00:10 is
+    // yesterday, 00:15 seen at 23:55 is tomorrow
     match = str.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
     if (match) {
-      const d = new Date();
+      const base = ref || now();
+      const d = new Date(base.getTime());
       d.setHours(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3] || 0, 10), 0);
+      const diff = d.getTime() - base.getTime();
+      if (diff > 12 * 3600000) d.setDate(d.getDate() - 1);
+      else if (diff < -12 * 3600000) d.setDate(d.getDate() + 1);
       return d;
     }
     return null;
   }
 
+  function hasDate(str) {
+    return typeof str === 'string' && /\d{1,4}[./-]\d{1,2}[./-]\d{1,4}/.test(str);
+  }
+
+  // UTROP is the call-out shortly before OPPMOTE, so a bare time in one of
+  // the pair is resolved against the other; only when neither has a date
+  // is OPPMOTE resolved against the current time
+  function resolveBookingTimes(utropRaw, oppmoteRaw) {
+    if (hasDate(utropRaw) && !hasDate(oppmoteRaw)) {
+      const utrop = parseTimeString(utropRaw);
+      return { utrop, oppmote: parseTimeString(oppmoteRaw, utrop) };
+    }
+    const oppmote = parseTimeString(oppmoteRaw);
+    return { utrop: parseTimeString(utropRaw, oppmote), oppmote };
+  }
+
+  // Local calendar day, for day dividers: "2026-10-19"
+  function dayKey(date) {
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+  }
+
+  function dayLabel(date) {
+    const today = new Date(now().getTime());
+    today.setHours(0, 0, 0, 0);
+    const day = new Date(date.getTime());
+    day.setHours(0, 0, 0, 0);
+    const diff = Math.round((day - today) / 86400000);
+    const rel = diff === 0 ? 'I dag' : diff === -1 ? 'I g\u00e5r' : diff === 1 ? 'I morgen' : '';
+    return (rel ? rel + ' \u00b7 ' : '') + formatDate(date);
+  }
+
   function bookingId(b) {
     return b.turid || b.fakturnr || [b.utropRaw, b.taxi, b.fra, b.navn].filter(Boolean).join('|');
   }
 
+  // Bookings crossing a message or storage boundary carry ISO strings for dates
+  function serializeBooking(b) {
+    return {
+      ...b,
+      utrop: b.utrop ? b.utrop.toISOString() : null,
+      oppmote: b.oppmote ? b.oppmote.toISOString() : null,
+    };
+  }
+
+  function rehydrateBooking(b) {
+    return {
+      ...b,
+      utrop: b.utrop ? new Date(b.utrop) : null,
+      oppmote: b.oppmote ? new Date(b.oppmote) : null,
+    };
+  }
+
   function isWithinWindow(date) {
     if (!date) return true;
     const n = now();
-    const lo = new Date(n.getTime() - TIME_WINDOW_HOURS * 3600000);
-    const hi = new Date(n.getTime() + TIME_WINDOW_HOURS * 3600000);
+    const lo = new Date(n.getTime() - settings.timeWindowHours * 3600000);
+    const hi = new Date(n.getTime() + settings.timeWindowHours * 3600000);
     return date >= lo && date <= hi;
   }
 
   function isUpcoming(utropDate) {
     if (!utropDate) return false;
     const diff = utropDate.getTime() - now().getTime();
-    return diff > 0 && diff <= UPCOMING_MINUTES * 60000;
+    return diff > 0 && diff <= settings.upcomingMinutes * 60000;
+  }
+
+  // Buckets are identified by their start time, so the same clock bucket on
+  // another day never matches
+  function bucketStart(date) {
+    const size = settings.utropBucketSize;
+    const mins = date.getHours() * 60 + date.getMinutes();
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0,
+      Math.floor(mins / size) * size).getTime();
   }
 
   function utropBucket(utropDate) {
     if (!utropDate) return null;
-    const mins = utropDate.getHours() * 60 + utropDate.getMinutes();
-    return Math.floor(mins / UTROP_BUCKET_SIZE) * UTROP_BUCKET_SIZE;
+    return bucketStart(utropDate);
   }
 
   function currentBucket() {
-    const n = now();
-    const mins = n.getHours() * 60 + n.getMinutes();
-    return Math.floor(mins / UTROP_BUCKET_SIZE) * UTROP_BUCKET_SIZE;
+    return bucketStart(now());
   }
 
   function esc(s) {
@@ -215,16 +417,21 @@
   function formatCountdown(utropDate) {
     if (!utropDate) return '';
     const diff = utropDate.getTime() - now().getTime();
-    if (diff <= 0 || diff > UPCOMING_MINUTES * 60000) return '';
+    if (diff <= 0 || diff > settings.upcomingMinutes * 60000) return '';
     const mins = Math.floor(diff / 60000);
     const secs = Math.floor((diff % 60000) / 1000);
     return mins + ':' + pad(secs);
   }
 
+  // Løyve prefix of a taxi number: "VE12" → "VE", "R3" → "R"
+  function loyvePrefix(taxiNum) {
+    return taxiNum.replace(/[\d\s]/g, '').toUpperCase() || taxiNum;
+  }
+
   function taxiColor(taxiNum) {
     if (!taxiNum) return '';
     // Color by løyve prefix (R, VE, I, etc.) so all taxis in same løyve share color
-    const prefix = taxiNum.replace(/[\d\s]/g, '').toUpperCase() || taxiNum;
+    const prefix = loyvePrefix(taxiNum);
     if (taxiColorCache[prefix]) return taxiColorCache[prefix];
     let hash = 0;
     for (let i = 0; i < prefix.length; i++) {
@@ -249,7 +456,8 @@
   }
 
   function playTone(freq, duration, type, delay) {
-    if (muted) return;
+    // While a wallboard window is open it plays the alerts, not the tab
+    if (muted || chipMode) return;
     try {
       ensureAudioCtx();
       const startTime = audioCtx.currentTime + (delay || 0);
@@ -271,10 +479,34 @@
     playTone(1100, 0.22, 'sine', 0.16);
   }
 
-  function playUnderSendingChime() {
-    playTone(520, 0.2, 'triangle', 0);
-    playTone(520, 0.2, 'triangle', 0.28);
-    playTone(660, 0.3, 'triangle', 0.56);
+  // Gets faster, higher and harsher with the escalation tier (0-3)
+  function playUnderSendingChime(tier) {
+    if (!tier) {
+      playTone(520, 0.2, 'triangle', 0);
+      playTone(520, 0.2, 'triangle', 0.28);
+      playTone(660, 0.3, 'triangle', 0.56);
+    } else if (tier === 1) {
+      playTone(620, 0.15, 'triangle', 0);
+      playTone(620, 0.15, 'triangle', 0.2);
+      playTone(780, 0.15, 'triangle', 0.4);
+      playTone(780, 0.25, 'triangle', 0.6);
+    } else if (tier === 2) {
+      for (let i = 0; i < 3; i++) {
+        playTone(700, 0.12, 'square', i * 0.3);
+        playTone(930, 0.12, 'square', i * 0.3 + 0.14);
+      }
+    } else {
+      for (let i = 0; i < 6; i++) {
+        playTone(i % 2 ? 1100 : 880, 0.12, 'sawtooth', i * 0.15);
+      }
+    }
+  }
+
+  function playOverdueAlarm() {
+    playTone(440, 0.25, 'square', 0);
+    playTone(330, 0.25, 'square', 0.3);
+    playTone(440, 0.25, 'square', 0.6);
+    playTone(330, 0.4, 'square', 0.9);
   }
 
   function playNewBookingSound() {
@@ -282,6 +514,20 @@
     playTone(900, 0.12, 'sine', 0.1);
   }
 
+  // An unfinished booking disappeared from the Taxiportalen table
+  function playRemovedSound() {
+    playTone(660, 0.14, 'sine', 0);
+    playTone(494, 0.14, 'sine', 0.16);
+    playTone(392, 0.3, 'sine', 0.32);
+  }
+
+  // Time, taxi or address changed on an existing booking
+  function playFieldChangeSound() {
+    playTone(784, 0.12, 'square', 0);
+    playTone(587, 0.12, 'square', 0.14);
+    playTone(784, 0.16, 'square', 0.28);
+  }
+
   // ----------------------------------------------------------
   //  DOM Parsing
   // ----------------------------------------------------------
@@ -289,6 +535,15 @@
   // Check if we are inside an iframe (sub-frame)
   const isSubFrame = window !== window.top;
 
+  // Running in the extension-hosted wallboard window (wallboard.html)
+  // instead of on Taxiportalen: bookings arrive from the tab via the
+  // service worker rather than from the DOM.
+  const isWallboardWindow = location.protocol === 'chrome-extension:';
+
+  // wallboard.html#replay plays back a recording instead of joining the
+  // live feed, on a simulated clock
+  const isReplay = isWallboardWindow && location.hash === '#replay';
+
   // Collect all accessible documents (main + same-origin iframes)
   function getAllDocuments() {
     const docs = [document];
@@ -305,6 +560,20 @@
     return docs;
   }
 
+  // How many required booking fields the header text names, by built-in
+  // name or alias. Counting rather than demanding all of them keeps the
+  // grid recognisable after a rename, so the schema check can report it.
+  function requiredFieldsNamed(text) {
+    const found = new Set();
+    for (const [name, field] of Object.entries(COLUMN_MAP)) {
+      if (text.includes(name)) found.add(field);
+    }
+    for (const a of headerAliases) {
+      if (text.includes(a.header)) found.add(a.field);
+    }
+    return VT_HEADER_FIELDS.filter(f => f.required && found.has(f.key)).length;
+  }
+
   function findBookingTableInDoc(doc) {
     const tables = doc.querySelectorAll('table');
     for (const t of tables) {
@@ -314,8 +583,7 @@
       const thead = t.querySelector('thead');
       const headerRow = thead ? thead.querySelector('tr') : t.querySelector('tr');
       if (!headerRow) continue;
-      const text = headerRow.textContent.toUpperCase();
-      if (text.includes('TAXI') && text.includes('STATUS') && (text.includes('UTROP') || text.includes('FRA'))) {
+      if (requiredFieldsNamed(headerRow.textContent.toUpperCase()) >= 3) {
         return { table: t, doc: doc };
       }
     }
@@ -363,16 +631,15 @@
   function mapHeaders(headerRow) {
     const map = {};
     const rawHeaders = [];
+    const aliases = {};
+    for (const a of headerAliases) aliases[a.header] = a.field;
     const cells = headerRow.querySelectorAll('th, td');
     for (let i = 0; i < cells.length; i++) {
       const raw = (cells[i].textContent || '').trim().toUpperCase();
       rawHeaders.push(raw);
-      // Prefer exact match first
-      for (const [key, val] of Object.entries(COLUMN_MAP)) {
-        if (raw === key) {
-          map[val] = i;
-        }
-      }
+      // Prefer exact match (user aliases, then built-in names) first
+      const val = aliases[raw] || COLUMN_MAP[raw];
+      if (val) map[val] = i;
     }
     // Then try includes match (only if not already mapped exactly)
     for (let i = 0; i < rawHeaders.length; i++) {
@@ -389,6 +656,16 @@
     return map;
   }
 
+  // Compare the mapped columns with the required fields. Headers nothing
+  // mapped to are reported as new: usually a renamed required column.
+  function checkSchema(headerMap) {
+    const raw = headerMap._rawHeaders || [];
+    const used = new Set(Object.keys(headerMap).filter(k => k[0] !== '_').map(k => headerMap[k]));
+    const missing = VT_HEADER_FIELDS.filter(f => f.required && headerMap[f.key] === undefined).map(f => f.label);
+    const unknown = raw.filter((h, i) => h && !used.has(i));
+    return { ok: missing.length === 0, missing, unknown, signature: raw.join('|') };
+  }
+
   function getDataRows(table, headerRow) {
     const allRows = Array.from(table.querySelectorAll('tr'));
     // Find the header row index and return everything after it
@@ -404,19 +681,23 @@
     return allRows.slice(1);
   }
 
-  function parseTable() {
-    const found = findBookingTable();
+  // Parses the live table unless given one ({ table, doc }), as replay does
+  function parseTable(found = findBookingTable()) {
     tableFound = !!(found && found.table);
+    schema = null;
     if (!found) return [];
 
-    const { table } = found;
+    const { table, doc } = found;
+    const source = isReplay ? 'replay' : doc === document ? (isSubFrame ? 'frame' : 'top') : 'same-origin iframe';
     const headerRow = findHeaderRow(table);
     if (!headerRow) return [];
 
+    const headerMap = mapHeaders(headerRow);
+    schema = checkSchema(headerMap);
+
     const dataRows = getDataRows(table, headerRow);
     if (dataRows.length === 0) return [];
 
-    const headerMap = mapHeaders(headerRow);
     const results = [];
 
     // Track diagnostics
@@ -441,6 +722,7 @@
       const utropRaw = get('utrop');
       const oppmoteRaw = get('oppmote');
       const statusRaw = get('status');
+      const times = resolveBookingTimes(utropRaw, oppmoteRaw);
 
       // Collect sample data for debugging (first 3 rows)
       if (sampleRows.length < 3) {
@@ -452,8 +734,8 @@
           taxi: get('taxi'),
           fra: get('fra'),
           navn: get('navn'),
-          oppmoteParsed: parseTimeString(oppmoteRaw),
-          utropParsed: parseTimeString(utropRaw),
+          oppmoteParsed: times.oppmote,
+          utropParsed: times.utrop,
         });
       }
 
@@ -465,25 +747,29 @@
 
       const booking = {
         fakturnr: get('fakturnr'),
+        rekvirent: get('rekvirent'),
         taxi: get('taxi'),
         status: statusRaw.toUpperCase(),
         utropRaw,
-        utrop: parseTimeString(utropRaw),
+        utrop: times.utrop,
         oppmoteRaw,
-        oppmote: parseTimeString(oppmoteRaw),
+        oppmote: times.oppmote,
         behandlingstid: get('behandlingstid'),
         fra: get('fra'),
         til: get('til'),
         navn: get('navn'),
         meldingTilBil: get('meldingTilBil'),
         bet: get('bet'),
+        ref: get('ref'),
         altturid: get('altturid'),
         tlf: get('tlf'),
         egenskap: get('egenskap'),
         turid: get('turid'),
+        internnr: get('internnr'),
       };
 
       booking.id = bookingId(booking);
+      booking.source = source;
 
       if (booking.oppmote && !isWithinWindow(booking.oppmote)) {
         filteredByWindow++;
@@ -565,37 +851,172 @@
     return grouped;
   }
 
+  // ----------------------------------------------------------
+  //  Search query language
+  // ----------------------------------------------------------
+  // Terms are ANDed and OR (or |) separates alternatives. A term is a word
+  // or "quoted phrase", optionally qualified as field:value; -term negates.
+  //   taxi:VE12  status:"under sending"  -status:kreditt  til:haukeland
+  //   utrop:>14:00  utrop:14:00-16:00  oppmote:today  is:overdue  voss OR dale
+  //   needs:wheelchair  needs:RS
+
+  // Fields a bare word is looked for in
+  const SEARCH_FIELDS = ['taxi', 'navn', 'fra', 'til', 'tlf', 'status', 'meldingTilBil', 'altturid', 'fakturnr'];
+
+  const QUERY_TEXT_FIELDS = {
+    taxi: 'taxi', status: 'status', fra: 'fra', til: 'til', navn: 'navn', tlf: 'tlf',
+    melding: 'meldingTilBil', egenskap: 'egenskap', alt: 'altturid', altturid: 'altturid',
+    turid: 'turid', fakturnr: 'fakturnr', rekvirent: 'rekvirent', ref: 'ref', bet: 'bet',
+  };
+  const QUERY_TIME_FIELDS = { utrop: 'utrop', oppmote: 'oppmote', 'oppm\u00f8te': 'oppmote' };
+  const QUERY_DAYS = { yesterday: -1, 'ig\u00e5r': -1, igar: -1, today: 0, idag: 0, tomorrow: 1, imorgen: 1 };
+
+  // The filter tabs, also available in queries as is:<name>
+  const FILTER_TESTS = {
+    active: b => !isCompletedStatus(b.status),
+    sending: b => b.status === 'UNDER SENDING',
+    upcoming: b => isUpcoming(b.utrop),
+    completed: b => isCompletedStatus(b.status),
+    overdue: b => isOverdue(b),
+    special: b => bookingCapabilities(b).length > 0,
+  };
+  const QUERY_STATES = { ...FILTER_TESTS, done: FILTER_TESTS.completed };
+
+  function tokenizeQuery(str) {
+    const tokens = [];
+    let i = 0;
+    while (i < str.length) {
+      if (/\s/.test(str[i])) { i++; continue; }
+      const token = { neg: false, field: null, value: '', quoted: false };
+      if (str[i] === '-' && i + 1 < str.length && !/\s/.test(str[i + 1])) {
+        token.neg = true;
+        i++;
+      }
+      const qualifier = /^([a-z\u00e6\u00f8\u00e5]+):/i.exec(str.slice(i));
+      if (qualifier) {
+        token.field = qualifier[1].toLowerCase();
+        i += qualifier[0].length;
+      }
+      if (str[i] === '"') {
+        const end = str.indexOf('"', i + 1);
+        if (end < 0) return { error: 'Missing closing quote' };
+        token.value = str.slice(i + 1, end);
+        token.quoted = true;
+        i = end + 1;
+      } else {
+        const start = i;
+        while (i < str.length && !/\s/.test(str[i])) i++;
+        token.value = str.slice(start, i);
+      }
+      tokens.push(token);
+    }
+    return { tokens };
+  }
+
+  // "HH:MM" → the nearest such time (see parseTimeString), evaluated when
+  // the query runs so saved queries follow the clock
+  function queryClock(str) {
+    const m = str.match(/^(\d{1,2}):(\d{2})$/);
+    return m && Number(m[1]) < 24 && Number(m[2]) < 60 ? () => parseTimeString(str, now()).getTime() : null;
+  }
+
+  function compileTimeTest(value) {
+    const v = value.toLowerCase();
+    if (v in QUERY_DAYS) {
+      return (d) => {
+        const day = now();
+        day.setDate(day.getDate() + QUERY_DAYS[v]);
+        return dayKey(d) === dayKey(day);
+      };
+    }
+    const range = v.match(/^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/);
+    if (range) {
+      const from = queryClock(range[1]);
+      const to = queryClock(range[2]);
+      if (!from || !to) return null;
+      return (d) => {
+        const start = from();
+        let end = to();
+        if (end < start) end += 86400000; // 22:00-02:00 runs past midnight
+        return d.getTime() >= start && d.getTime() < end + 60000;
+      };
+    }
+    const cmp = v.match(/^(>=|<=|>|<)?(.+)$/);
+    const at = queryClock(cmp[2]);
+    if (!at) return null;
+    switch (cmp[1]) {
+      case '>': return d => d.getTime() >= at() + 60000;
+      case '>=': return d => d.getTime() >= at();
+      case '<': return d => d.getTime() < at();
+      case '<=': return d => d.getTime() < at() + 60000;
+      default: return d => d.getTime() >= at() && d.getTime() < at() + 60000;
+    }
+  }
+
+  function compileTerm(t) {
+    const q = t.value.toLowerCase();
+    if (t.field === null) {
+      return { test: b => SEARCH_FIELDS.some(k => b[k] && b[k].toLowerCase().includes(q)) };
+    }
+    if (!t.value) return { error: t.field + ': needs a value' };
+    if (t.field === 'is') {
+      const test = QUERY_STATES[q];
+      return test ? { test } : { error: 'Unknown is:' + t.value + ' \u2014 use active, sending, upcoming, done, overdue or special' };
+    }
+    if (t.field === 'needs') {
+      return { test: b => bookingCapabilities(b).some(c => c.label.toLowerCase().includes(q) || c.codes.includes(q.toUpperCase())) };
+    }
+    if (QUERY_TEXT_FIELDS[t.field]) {
+      const key = QUERY_TEXT_FIELDS[t.field];
+      return { test: b => (b[key] || '').toLowerCase().includes(q) };
+    }
+    if (QUERY_TIME_FIELDS[t.field]) {
+      const key = QUERY_TIME_FIELDS[t.field];
+      const test = compileTimeTest(t.value);
+      if (!test) return { error: 'Use a time such as ' + t.field + ':>14:00, ' + t.field + ':14:00-16:00 or ' + t.field + ':today' };
+      return { test: b => !!b[key] && test(b[key]) };
+    }
+    return { error: 'Unknown field "' + t.field + ':" \u2014 try taxi, status, fra, til, navn, utrop, oppmote, needs or is' };
+  }
+
+  // Returns { test } for a usable query (test is null when it is empty) or
+  // { error } with a message for the search box
+  function compileQuery(str) {
+    const { tokens, error } = tokenizeQuery(str || '');
+    if (error) return { error };
+    const groups = [[]];
+    for (const t of tokens) {
+      if (!t.neg && !t.field && !t.quoted && (t.value === 'OR' || t.value === '|')) {
+        if (groups[groups.length - 1].length === 0) return { error: 'OR needs a search term on both sides' };
+        groups.push([]);
+        continue;
+      }
+      const term = compileTerm(t);
+      if (term.error) return { error: term.error };
+      groups[groups.length - 1].push({ test: term.test, neg: t.neg });
+    }
+    if (groups[groups.length - 1].length === 0) {
+      return groups.length > 1 ? { error: 'OR needs a search term on both sides' } : { test: null };
+    }
+    return { test: b => groups.some(g => g.every(t => t.test(b) !== t.neg)) };
+  }
+
   // ----------------------------------------------------------
   //  Filtering
   // ----------------------------------------------------------
   function filterBookings(list) {
     let filtered = list;
 
-    if (activeFilter === 'active') {
-      filtered = filtered.filter(b => !COMPLETED_STATUSES.has(b.status));
-    } else if (activeFilter === 'sending') {
-      filtered = filtered.filter(b => b.status === 'UNDER SENDING');
-    } else if (activeFilter === 'upcoming') {
-      filtered = filtered.filter(b => isUpcoming(b.utrop));
-    } else if (activeFilter === 'completed') {
-      filtered = filtered.filter(b => COMPLETED_STATUSES.has(b.status));
-    }
-
-    if (searchQuery) {
-      const q = searchQuery.toLowerCase();
-      filtered = filtered.filter(b =>
-        (b.taxi && b.taxi.toLowerCase().includes(q)) ||
-        (b.navn && b.navn.toLowerCase().includes(q)) ||
-        (b.fra && b.fra.toLowerCase().includes(q)) ||
-        (b.til && b.til.toLowerCase().includes(q)) ||
-        (b.tlf && b.tlf.includes(q)) ||
-        (b.status && b.status.toLowerCase().includes(q)) ||
-        (b.meldingTilBil && b.meldingTilBil.toLowerCase().includes(q)) ||
-        (b.altturid && b.altturid.includes(q)) ||
-        (b.fakturnr && b.fakturnr.includes(q))
-      );
+    if (FILTER_TESTS[activeFilter]) {
+      filtered = filtered.filter(FILTER_TESTS[activeFilter]);
+    } else if (activeFilter.startsWith(SAVED_FILTER_PREFIX)) {
+      const saved = savedQueries.find(q => SAVED_FILTER_PREFIX + q.name === activeFilter);
+      const compiled = saved && compileQuery(saved.query);
+      if (compiled && compiled.test) filtered = filtered.filter(compiled.test);
     }
 
+    if (searchCompiled.test) filtered = filtered.filter(searchCompiled.test);
+
     return filtered;
   }
 
@@ -609,18 +1030,217 @@
     return false;
   }
 
+  // OPPMOTE (plus the grace period) has passed and no car has accepted:
+  // the passenger is probably waiting at the curb
+  function isOverdue(booking) {
+    if (booking.ghost || !booking.oppmote || isCompletedStatus(booking.status)) return false;
+    return now().getTime() - booking.oppmote.getTime() > settings.overdueGraceMinutes * 60000;
+  }
+
   function rowClass(booking) {
-    if (booking.status === 'UNDER SENDING') return 'vt-row--sending';
+    if (booking.ghost) return 'vt-row--ghost';
+    if (booking.status === 'UNDER SENDING') {
+      const tier = escalationTier(booking);
+      return 'vt-row--sending' + (tier > 0 ? ' vt-esc-' + tier : '') +
+        (isOverdue(booking) ? ' vt-row--overdue' : '');
+    }
+    if (isOverdue(booking)) return 'vt-row--overdue';
     if (isUpcoming(booking.utrop)) return 'vt-row--upcoming';
-    if (booking.status === 'ENDRET') return 'vt-row--changed';
-    if (booking.status === 'BEH.MANUELT') return 'vt-row--manual';
-    // Future trips with completed status are still shown as active
-    if (COMPLETED_STATUSES.has(booking.status) && !isFutureTrip(booking)) return 'vt-row--completed';
+    // Dimmed statuses on future trips are still shown as active; other
+    // statuses with a rule colour are drawn in it (see rowRuleStyle)
+    const rule = statusRule(booking.status);
+    if (rule && rule.dim) return isFutureTrip(booking) ? 'vt-row--active' : 'vt-row--completed';
+    if (rule && rule.color) return 'vt-row--rule';
     return 'vt-row--active';
   }
 
+  // Colour variables for vt-row--rule; the tint is the colour at 18%
+  function rowRuleStyle(booking) {
+    const rule = statusRule(booking.status);
+    if (!rule || !rule.color || rule.dim) return '';
+    return '--vt-rule-color:' + rule.color + ';--vt-rule-tint:' + rule.color + '2e;';
+  }
+
+  // When the wallboard first saw the booking's current UNDER SENDING spell
+  function sendingSince(booking) {
+    if (booking.status !== 'UNDER SENDING') return null;
+    const hist = statusHistory[booking.id];
+    const last = hist && hist[hist.length - 1];
+    return last && last.status === 'UNDER SENDING' ? last.at : null;
+  }
+
+  // 0 (just sent) to 3, by minutes in UNDER SENDING against the settings
+  function escalationTier(booking) {
+    const since = sendingSince(booking);
+    if (since === null) return 0;
+    const mins = (nowMs() - since) / 60000;
+    if (mins >= settings.escalateTier3Minutes) return 3;
+    if (mins >= settings.escalateTier2Minutes) return 2;
+    if (mins >= settings.escalateTier1Minutes) return 1;
+    return 0;
+  }
+
   function statusBadgeClass(status) {
-    return STATUS_CSS[status] || 'default';
+    return STATUS_CSS[status] || (statusRule(status) ? 'rule' : 'default');
+  }
+
+  // Inline colour from the status rule for a badge (background at 15%)
+  function statusBadgeStyle(status) {
+    const rule = statusRule(status);
+    if (!rule || !rule.color) return '';
+    return ' style="color:' + rule.color + ';background:' + rule.color + '26"';
+  }
+
+  // ----------------------------------------------------------
+  //  Status rules (user-editable, see settings.js)
+  // ----------------------------------------------------------
+  function statusRule(status) {
+    const key = status || '';
+    if (statusRuleCache.has(key)) return statusRuleCache.get(key);
+    let found = null;
+    for (const rule of statusRules) {
+      const hit = rule.regex
+        ? new RegExp(rule.match, 'i').test(key)
+        : rule.match.toUpperCase() === key.toUpperCase();
+      if (hit) {
+        found = rule;
+        break;
+      }
+    }
+    statusRuleCache.set(key, found);
+    return found;
+  }
+
+  function isCompletedStatus(status) {
+    const rule = statusRule(status);
+    return !!rule && rule.completed;
+  }
+
+  function applyStatusRules(rules) {
+    statusRules = rules;
+    statusRuleCache.clear();
+    unknownStatuses.clear();
+    noteUnknownStatuses();
+  }
+
+  // Remember statuses in the grid that no rule covers, for the debug panel
+  function noteUnknownStatuses() {
+    const counts = {};
+    for (const b of bookings) {
+      if (b.status && !statusRule(b.status)) counts[b.status] = (counts[b.status] || 0) + 1;
+    }
+    for (const [status, count] of Object.entries(counts)) {
+      const seen = unknownStatuses.get(status);
+      unknownStatuses.set(status, { count, firstSeen: seen ? seen.firstSeen : Date.now() });
+    }
+    for (const status of unknownStatuses.keys()) {
+      if (!counts[status]) unknownStatuses.get(status).count = 0;
+    }
+  }
+
+  // ----------------------------------------------------------
+  //  Capabilities (EGENSKAP dictionary, see settings.js)
+  // ----------------------------------------------------------
+  function egenskapWords(egenskap) {
+    return (egenskap || '').toUpperCase().split(/[\s,;/+]+/).filter(Boolean);
+  }
+
+  // Dictionary entries a booking needs, from its EGENSKAP codes and the
+  // keywords in its MELDING TIL BIL
+  function bookingCapabilities(b) {
+    const key = (b.egenskap || '') + '\n' + (b.meldingTilBil || '');
+    if (capabilityCache.has(key)) return capabilityCache.get(key);
+    const words = egenskapWords(b.egenskap);
+    const melding = (b.meldingTilBil || '').toLowerCase();
+    const found = capabilities.filter(c =>
+      c.codes.some(code => words.includes(code)) || c.keywords.some(k => melding.includes(k)));
+    capabilityCache.set(key, found);
+    return found;
+  }
+
+  // EGENSKAP words no dictionary entry explains, still shown as text
+  function undecodedEgenskap(b) {
+    return egenskapWords(b.egenskap).filter(w => !capabilities.some(c => c.codes.includes(w))).join(' ');
+  }
+
+  function capabilityIcons(b) {
+    return bookingCapabilities(b).map(c => c.icon).join('');
+  }
+
+  // Open special trips called out within the next hour, for the stats bar
+  function isSpecialSoon(b) {
+    if (b.ghost || !b.utrop || isCompletedStatus(b.status) || bookingCapabilities(b).length === 0) return false;
+    const diff = b.utrop.getTime() - nowMs();
+    return diff > 0 && diff <= 3600000;
+  }
+
+  function applyCapabilities(list) {
+    capabilities = list;
+    capabilityCache.clear();
+  }
+
+  const STATUS_SOUND_PLAYERS = {
+    chime: () => playUtropChime(),
+    alert: () => playUnderSendingChime(0),
+    beep: () => playNewBookingSound(),
+    change: () => playFieldChangeSound(),
+    drop: () => playRemovedSound(),
+    alarm: () => playOverdueAlarm(),
+  };
+
+  // Each configured sound once, however many bookings entered its status
+  function playStatusEntrySounds(entered) {
+    const sounds = new Set();
+    for (const b of entered) {
+      const rule = statusRule(b.status);
+      if (rule && STATUS_SOUND_PLAYERS[rule.sound]) sounds.add(rule.sound);
+    }
+    for (const sound of sounds) STATUS_SOUND_PLAYERS[sound]();
+  }
+
+  // ----------------------------------------------------------
+  //  Taxi conflicts (one car on overlapping or too-close trips)
+  // ----------------------------------------------------------
+  // A trip occupies its taxi from UTROP to OPPMOTE. Two trips for the same
+  // taxi conflict when the second starts less than taxiMinGapMinutes after
+  // the first ends (negative gap = overlap). Finished past trips, ghosts
+  // and ALTTURID groups (merged on purpose) are left out.
+  function detectTaxiConflicts() {
+    const byTaxi = {};
+    for (const b of bookings) {
+      const taxi = (b.taxi || '').trim().toUpperCase();
+      const start = b.utrop || b.oppmote;
+      const end = b.oppmote || b.utrop;
+      if (!taxi || !start) continue;
+      if (isCompletedStatus(b.status) && !isFutureTrip(b)) continue;
+      (byTaxi[taxi] || (byTaxi[taxi] = [])).push({ b, start: start.getTime(), end: end.getTime() });
+    }
+
+    const gapMs = settings.taxiMinGapMinutes * 60000;
+    const found = {};
+    for (const trips of Object.values(byTaxi)) {
+      trips.sort((x, y) => x.start - y.start);
+      for (let i = 0; i < trips.length; i++) {
+        for (let j = i + 1; j < trips.length; j++) {
+          const a = trips[i];
+          const c = trips[j];
+          if (a.b.altturid && a.b.altturid === c.b.altturid) continue;
+          const gap = c.start - Math.max(a.end, a.start);
+          if (gap >= gapMs) continue;
+          const gapMin = Math.round(gap / 60000);
+          (found[a.b.id] || (found[a.b.id] = [])).push({ other: c.b, gapMin });
+          (found[c.b.id] || (found[c.b.id] = [])).push({ other: a.b, gapMin });
+        }
+      }
+    }
+    taxiConflicts = found;
+  }
+
+  function conflictTitle(c) {
+    const o = c.other;
+    return 'Taxi ' + o.taxi + ' also ' + formatTime24(o.utrop) + '\u2192' + formatTime24(o.oppmote) + ' ' +
+      (o.fra || '\u2014') + ' \u2192 ' + (o.til || '\u2014') +
+      (c.gapMin < 0 ? ' (overlaps by ' + -c.gapMin + ' min)' : ' (' + c.gapMin + ' min gap)');
   }
 
   // ----------------------------------------------------------
@@ -636,7 +1256,7 @@
       toggleOverlay();
       ensureAudioCtx();
     });
-    document.body.appendChild(toggle);
+    if (!isWallboardWindow) document.body.appendChild(toggle);
 
     // Scroll indicator
     const scrollInd = document.createElement('div');
@@ -678,14 +1298,22 @@
             '<div id="vt-clock">00:00:00</div>' +
           '</div>' +
         '</div>' +
+        (isReplay ? '<div id="vt-replay-bar"></div>' : '') +
         '<div id="vt-stats"></div>' +
         '<div id="vt-filter-bar">' +
-          '<input type="text" id="vt-search" placeholder="Search... (Ctrl+F)" autocomplete="off" />' +
+          '<input type="text" id="vt-search" placeholder="Search... (Ctrl+F)" autocomplete="off" ' +
+            'title="Words, field:value (taxi:VE12, status:&quot;under sending&quot;, utrop:&gt;14:00, oppmote:today, is:overdue), -term to exclude, OR" />' +
+          '<button id="vt-save-query-btn" class="vt-toolbar-btn" title="Save this search as a filter button" disabled>&#x2606;</button>' +
+          '<input type="text" id="vt-query-name" placeholder="Name, then Enter" maxlength="24" autocomplete="off" style="display:none;" />' +
+          '<span id="vt-search-error"></span>' +
           '<button class="vt-filter-btn active" data-filter="all">All</button>' +
           '<button class="vt-filter-btn" data-filter="active">Active</button>' +
           '<button class="vt-filter-btn" data-filter="sending">Sending</button>' +
           '<button class="vt-filter-btn" data-filter="upcoming">Upcoming</button>' +
           '<button class="vt-filter-btn" data-filter="completed">Done</button>' +
+          '<button class="vt-filter-btn" data-filter="overdue">Overdue</button>' +
+          '<button class="vt-filter-btn" data-filter="special" title="Trips needing a special vehicle or equipment">Special</button>' +
+          '<span id="vt-saved-queries"></span>' +
           '<span class="vt-sort-wrap">' +
             '<label for="vt-sort-select" class="vt-sort-label">Sort:</label>' +
             '<select id="vt-sort-select">' + sortOptionsHtml + '</select>' +
@@ -693,16 +1321,42 @@
               (sortDirection === 'asc' ? '\u25b2' : '\u25bc') +
             '</button>' +
           '</span>' +
-          '<button id="vt-layout-btn" class="vt-toolbar-btn" title="Toggle sidebar (L)">&#x2261;</button>' +
+          '<button id="vt-layout-btn" class="vt-toolbar-btn" title="Layout: top / sidebar / taxi lanes / timeline (L)">&#x2261;</button>' +
           '<button id="vt-rotate-btn" class="vt-toolbar-btn" title="Rotate (R)">&#x21BB;</button>' +
+          '<button id="vt-privacy-btn" class="vt-toolbar-btn" title="Privacy mode: mask names, phones and messages (P)">&#x1f576;</button>' +
           '<button id="vt-mute-btn" class="vt-toolbar-btn" title="Mute (M)">&#x1f50a;</button>' +
           '<button id="vt-fullscreen-btn" class="vt-toolbar-btn" title="Fullscreen (F)">&#x26F6;</button>' +
+          '<button id="vt-views-btn" class="vt-toolbar-btn" title="Views (V, switch with 6\u20139)">&#x25A6;</button>' +
           '<button id="vt-debug-btn" class="vt-toolbar-btn" title="Debug (D)">&#x1f41b;</button>' +
         '</div>' +
+        '<div id="vt-views-panel" style="display:none;">' +
+          '<div id="vt-views-list"></div>' +
+          '<div class="vt-views-row">' +
+            '<input type="text" id="vt-view-name" placeholder="View name" maxlength="24" autocomplete="off" />' +
+            '<button class="vt-filter-btn" data-view-save>Save current as view</button>' +
+            '<span id="vt-views-error"></span>' +
+          '</div>' +
+          '<div class="vt-views-row">' +
+            '<span class="vt-views-label">Card fields</span>' +
+            CARD_FIELDS.map(f =>
+              '<label class="vt-views-field"><input type="checkbox" data-card-field="' + f.key + '" /> ' + f.label + '</label>'
+            ).join('') +
+          '</div>' +
+          '<div class="vt-views-row">' +
+            '<label class="vt-views-label" for="vt-view-cycle">Cycle views</label>' +
+            '<select id="vt-view-cycle">' +
+              VIEW_CYCLE_SECONDS.map(x => '<option value="' + x + '">' +
+                (x === 0 ? 'Off' : x < 60 ? 'every ' + x + ' s' : 'every ' + (x / 60) + ' min') + '</option>').join('') +
+            '</select>' +
+          '</div>' +
+        '</div>' +
         '<div id="vt-debug-panel" style="display:none;"></div>' +
       '</div>' +
+      '<div id="vt-schema-banner" style="display:none;"></div>' +
       '<div id="vt-cards-wrap">' +
         '<div id="vt-cards"></div>' +
+        '<div id="vt-lanes"></div>' +
+        '<div id="vt-timeline"></div>' +
         '<div id="vt-empty" style="display:none;">' +
           '<div id="vt-empty-icon">&#x1f697;</div>' +
           '<div>No bookings to display</div>' +
@@ -717,17 +1371,35 @@
     // Search
     document.getElementById('vt-search').addEventListener('input', (e) => {
       searchQuery = e.target.value;
+      compileSearch();
       renderTable();
     });
 
-    // Filter buttons
-    document.querySelectorAll('.vt-filter-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        activeFilter = btn.dataset.filter;
-        document.querySelectorAll('.vt-filter-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        renderTable();
-      });
+    // Saving a search: ask for a name inline
+    const queryName = document.getElementById('vt-query-name');
+    document.getElementById('vt-save-query-btn').addEventListener('click', () => {
+      queryName.style.display = '';
+      queryName.value = '';
+      queryName.focus();
+    });
+    queryName.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      saveQuery(queryName.value, searchQuery);
+      queryName.blur();
+    });
+    queryName.addEventListener('blur', () => {
+      queryName.style.display = 'none';
+    });
+
+    // Filter buttons, including saved searches (× removes one)
+    document.getElementById('vt-filter-bar').addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-remove-query]');
+      if (remove) {
+        removeQuery(remove.getAttribute('data-remove-query'));
+        return;
+      }
+      const btn = e.target.closest('.vt-filter-btn[data-filter]');
+      if (btn) setFilter(btn.dataset.filter);
     });
 
     // Sort controls
@@ -750,12 +1422,44 @@
     // Debug toggle
     document.getElementById('vt-debug-btn').addEventListener('click', toggleDebug);
 
+    // Views panel
+    document.getElementById('vt-views-btn').addEventListener('click', toggleViewsPanel);
+    const viewsPanel = document.getElementById('vt-views-panel');
+    viewsPanel.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-view-remove]');
+      const apply = e.target.closest('[data-view-apply]');
+      if (remove) {
+        removeView(Number(remove.getAttribute('data-view-remove')));
+      } else if (apply) {
+        applyView(Number(apply.getAttribute('data-view-apply')));
+      } else if (e.target.closest('[data-view-save]')) {
+        saveView(document.getElementById('vt-view-name').value);
+      }
+    });
+    viewsPanel.addEventListener('change', (e) => {
+      if (e.target.id === 'vt-view-cycle') {
+        setViewCycle(Number(e.target.value));
+      } else if (e.target.hasAttribute('data-card-field')) {
+        const key = e.target.getAttribute('data-card-field');
+        if (e.target.checked) cardFields.add(key);
+        else cardFields.delete(key);
+        chrome.storage.local.set({ vtCardFields: [...cardFields] });
+        renderTable();
+      }
+    });
+    document.getElementById('vt-view-name').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') saveView(e.target.value);
+    });
+
     // Layout toggle
     document.getElementById('vt-layout-btn').addEventListener('click', toggleLayout);
 
     // Rotate toggle
     document.getElementById('vt-rotate-btn').addEventListener('click', toggleRotate);
 
+    // Privacy toggle
+    document.getElementById('vt-privacy-btn').addEventListener('click', () => setPrivacy(!privacy));
+
     // Mouse/scroll activity tracking — any movement resets idle timer
     const wrap = document.getElementById('vt-cards-wrap');
     wrap.addEventListener('scroll', () => {
@@ -776,21 +1480,95 @@
     document.getElementById('vt-cards').addEventListener('click', (e) => {
       const card = e.target.closest('.vt-card[data-id]');
       if (!card) return;
+      // Clicks inside the open drawer don't collapse it
+      if (e.target.closest('.vt-detail')) {
+        const member = e.target.closest('[data-open-id]');
+        if (handleNoteAction(e)) {
+          return;
+        } else if (member) {
+          openBooking(member.getAttribute('data-open-id'));
+        } else if (e.target.closest('[data-action="close"]')) {
+          expandedRowId = null;
+          renderTable();
+        }
+        return;
+      }
+      const link = e.target.closest('.vt-conflict[data-open-id]');
+      if (link) {
+        openBooking(link.getAttribute('data-open-id'));
+        return;
+      }
       const id = card.getAttribute('data-id');
+      if (e.target.closest('[data-action="ack"]')) {
+        acknowledge(id);
+        return;
+      }
+      if (e.target.closest('[data-action="pin"]')) {
+        togglePin(id);
+        return;
+      }
+      if (e.target.closest('[data-action="note"]')) {
+        editNote(id);
+        return;
+      }
       expandedRowId = expandedRowId === id ? null : id;
       renderTable();
     });
 
+    // Lane blocks and timeline bars open the booking's detail in the view
+    // (delegated)
+    const onViewClick = (e) => {
+      const zoom = e.target.closest('[data-zoom]');
+      if (zoom) {
+        setTimelineZoom(Number(zoom.getAttribute('data-zoom')));
+        return;
+      }
+      if (e.target.closest('[data-action="close"]')) {
+        expandedRowId = null;
+        renderTable();
+        return;
+      }
+      if (handleNoteAction(e)) return;
+      const link = e.target.closest('[data-open-id]');
+      if (link) openBooking(link.getAttribute('data-open-id'));
+    };
+    document.getElementById('vt-lanes').addEventListener('click', onViewClick);
+    document.getElementById('vt-timeline').addEventListener('click', onViewClick);
+
+    // Schema banner actions
+    document.getElementById('vt-schema-banner').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]');
+      if (!action || !schema) return;
+      if (action.getAttribute('data-action') === 'schema-options') {
+        try {
+          chrome.runtime.sendMessage({ type: 'vtOpenOptions', headers: schema.unknown });
+        } catch (_) { /* extension context may be invalidated */ }
+      } else if (action.getAttribute('data-action') === 'schema-dismiss') {
+        schemaDismissed = schema.signature;
+        saveSessionState();
+        renderSchemaBanner();
+      }
+    });
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+      if (chipMode) return;
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
-        if (e.key === 'Escape') {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && e.target.classList.contains('vt-note-input')) {
+          setNote(e.target.getAttribute('data-note-id'), e.target.value);
+          e.target.blur();
+          e.preventDefault();
+        } else if (e.key === 'Escape') {
           e.target.blur();
           e.preventDefault();
         }
         return;
       }
 
+      // Letter shortcuts must not take over the browser's Ctrl/Cmd/Alt
+      // combinations (Ctrl+A select all, Ctrl+V paste, Ctrl+P print)
+      const plainKey = !e.ctrlKey && !e.metaKey && !e.altKey;
+
       if (e.key === 'Escape') {
         if (expandedRowId) {
           expandedRowId = null;
@@ -799,6 +1577,10 @@
           toggleOverlay();
         }
         e.preventDefault();
+      } else if ((e.key === 'a' || e.key === 'A') && plainKey && overlayVisible) {
+        // Silences an alarm, so only while the wallboard is on screen
+        acknowledgeNext();
+        e.preventDefault();
       } else if (e.key === 'm' || e.key === 'M') {
         toggleMute();
         e.preventDefault();
@@ -811,6 +1593,12 @@
       } else if (e.key === 'l' || e.key === 'L') {
         toggleLayout();
         e.preventDefault();
+      } else if ((e.key === 'v' || e.key === 'V') && plainKey && overlayVisible) {
+        toggleViewsPanel();
+        e.preventDefault();
+      } else if ((e.key === 'p' || e.key === 'P') && plainKey && overlayVisible) {
+        setPrivacy(!privacy);
+        e.preventDefault();
       } else if (e.key === 'f' && !e.ctrlKey && !e.metaKey) {
         toggleFullscreen();
         e.preventDefault();
@@ -833,29 +1621,65 @@
         setFilter('upcoming');
       } else if (e.key === '5') {
         setFilter('completed');
+      } else if (VT_VIEW_KEYS.includes(e.key) && plainKey && overlayVisible) {
+        applyView(VT_VIEW_KEYS.indexOf(e.key));
       }
     });
 
     // Restore preferences
-    chrome.storage.local.get(['vtMuted', 'vtLayout', 'vtRotated'], (r) => {
+    chrome.storage.local.get(['vtMuted', 'vtLayout', 'vtRotated', 'vtTimelineZoom', 'vtCardFields', VT_PRIVACY_KEY], (r) => {
+      if (TIMELINE_ZOOM_HOURS.includes(r.vtTimelineZoom)) timelineZoomHours = r.vtTimelineZoom;
+      if (Array.isArray(r.vtCardFields)) {
+        cardFields = new Set(r.vtCardFields);
+        renderViewsPanel();
+        renderTable();
+      }
       if (r.vtMuted) {
         muted = true;
         const btn = document.getElementById('vt-mute-btn');
         btn.classList.add('muted');
         btn.innerHTML = '&#x1f507;';
       }
-      if (r.vtLayout === 'side') {
-        layoutMode = 'side';
+      if (LAYOUT_MODES.includes(r.vtLayout) && r.vtLayout !== 'top') {
+        layoutMode = r.vtLayout;
         applyLayout();
       }
       if (r.vtRotated) {
         rotated = true;
         applyRotation();
       }
+      if (r[VT_PRIVACY_KEY]) applyPrivacy(true);
+    });
+    // The popup, the other wallboard or a view may switch privacy mode;
+    // the screen on the wall must follow without a reload
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[VT_PRIVACY_KEY]) return;
+      applyPrivacy(!!changes[VT_PRIVACY_KEY].newValue);
     });
   }
 
+  // Expand a booking's card and bring it into view
+  // The other booking of a conflict or group may be hidden by the filter or
+  // search; both are cleared then, so the link always lands on its card
+  function openBooking(id) {
+    expandedRowId = id;
+    if (displayedBookings.some(b => b.id === id)) {
+      renderTable();
+    } else {
+      searchQuery = '';
+      document.getElementById('vt-search').value = '';
+      compileSearch();
+      setFilter('all');
+    }
+    const card = document.querySelector('#vt-cards .vt-card[data-id="' + CSS.escape(id) + '"]');
+    if (card) {
+      lastScrollTime = Date.now();
+      card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }
+
   function toggleOverlay() {
+    if (isWallboardWindow || chipMode) return;
     overlayVisible = !overlayVisible;
     const wb = document.getElementById('vt-wallboard');
     if (wb) wb.classList.toggle('vt-hidden', !overlayVisible);
@@ -885,56 +1709,396 @@
 
   function setFilter(name) {
     activeFilter = name;
-    document.querySelectorAll('.vt-filter-btn').forEach(b => {
+    document.querySelectorAll('#vt-filter-bar .vt-filter-btn').forEach(b => {
       b.classList.toggle('active', b.dataset.filter === name);
     });
     renderTable();
   }
 
-  function toggleDebug() {
-    debugVisible = !debugVisible;
-    const panel = document.getElementById('vt-debug-panel');
-    if (panel) {
-      panel.style.display = debugVisible ? 'block' : 'none';
-      if (debugVisible) renderDebugPanel();
-    }
-    const btn = document.getElementById('vt-debug-btn');
-    if (btn) btn.classList.toggle('active', debugVisible);
+  // Inline feedback for the search box; only a valid query can be saved
+  function compileSearch() {
+    const compiled = compileQuery(searchQuery);
+    searchCompiled = compiled.error ? { test: null, error: compiled.error } : compiled;
+    const search = document.getElementById('vt-search');
+    if (!search) return;
+    search.classList.toggle('vt-search--invalid', !!searchCompiled.error);
+    document.getElementById('vt-search-error').textContent = searchCompiled.error || '';
+    document.getElementById('vt-save-query-btn').disabled = !searchCompiled.test;
   }
 
-  function toggleLayout() {
-    layoutMode = layoutMode === 'top' ? 'side' : 'top';
-    applyLayout();
-    chrome.storage.local.set({ vtLayout: layoutMode });
+  // ----------------------------------------------------------
+  //  Saved searches (chrome.storage.sync)
+  // ----------------------------------------------------------
+  function renderSavedQueries() {
+    const el = document.getElementById('vt-saved-queries');
+    if (!el) return;
+    el.innerHTML = savedQueries.map(q =>
+      '<button class="vt-filter-btn vt-saved-query' +
+        (activeFilter === SAVED_FILTER_PREFIX + q.name ? ' active' : '') +
+        '" data-filter="' + escAttr(SAVED_FILTER_PREFIX + q.name) + '" title="' + escAttr(q.query) + '">' +
+        esc(q.name) +
+        '<span class="vt-saved-remove" data-remove-query="' + escAttr(q.name) + '" title="Remove">\u00d7</span>' +
+      '</button>').join('');
   }
 
-  function applyLayout() {
-    const wb = document.getElementById('vt-wallboard');
-    if (!wb) return;
-    wb.classList.toggle('vt-sidebar-mode', layoutMode === 'side');
-    const btn = document.getElementById('vt-layout-btn');
-    if (btn) btn.classList.toggle('active', layoutMode === 'side');
+  // A name already in use is replaced; the new button becomes the active
+  // filter and the search box is cleared, so the list looks the same
+  function saveQuery(name, query) {
+    name = name.trim();
+    if (!name || !compileQuery(query).test) return;
+    const next = savedQueries.filter(q => q.name !== name);
+    if (next.length >= SAVED_QUERIES_MAX) return;
+    next.push({ name, query: query.trim() });
+    savedQueries = next;
+    storeSavedQueries();
+    searchQuery = '';
+    document.getElementById('vt-search').value = '';
+    compileSearch();
+    renderSavedQueries();
+    setFilter(SAVED_FILTER_PREFIX + name);
   }
 
-  function toggleRotate() {
-    rotated = !rotated;
-    applyRotation();
-    chrome.storage.local.set({ vtRotated: rotated });
+  function removeQuery(name) {
+    savedQueries = savedQueries.filter(q => q.name !== name);
+    storeSavedQueries();
+    renderSavedQueries();
+    if (activeFilter === SAVED_FILTER_PREFIX + name) setFilter('all');
   }
 
-  function applyRotation() {
-    const wb = document.getElementById('vt-wallboard');
-    if (!wb) return;
-    wb.classList.toggle('vt-rotated', rotated);
-    const btn = document.getElementById('vt-rotate-btn');
-    if (btn) btn.classList.toggle('active', rotated);
+  function storeSavedQueries() {
+    try {
+      chrome.storage.sync.set({ [SAVED_QUERIES_KEY]: savedQueries });
+    } catch (_) { /* extension context may be invalidated */ }
   }
 
-  function renderDebugPanel() {
-    const panel = document.getElementById('vt-debug-panel');
-    if (!panel || !debugVisible) return;
-
-    const docs = getAllDocuments();
+  function loadSavedQueries() {
+    const apply = (list) => {
+      savedQueries = (Array.isArray(list) ? list : [])
+        .filter(q => q && typeof q.name === 'string' && typeof q.query === 'string');
+      renderSavedQueries();
+      renderTable();
+    };
+    chrome.storage.sync.get(SAVED_QUERIES_KEY, (r) => apply(r && r[SAVED_QUERIES_KEY]));
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes[SAVED_QUERIES_KEY]) apply(changes[SAVED_QUERIES_KEY].newValue);
+    });
+  }
+
+  // ----------------------------------------------------------
+  //  Views: filter, search, sort, layout, rotation, privacy and card fields
+  //  saved together under a name and bound to a number key
+  // ----------------------------------------------------------
+  function normalizeView(v) {
+    if (!v || typeof v.name !== 'string' || !v.name) return null;
+    return {
+      name: v.name,
+      filter: typeof v.filter === 'string' ? v.filter : 'all',
+      query: typeof v.query === 'string' ? v.query : '',
+      sortColumn: typeof v.sortColumn === 'string' ? v.sortColumn : 'utrop',
+      sortDirection: v.sortDirection === 'desc' ? 'desc' : 'asc',
+      layout: LAYOUT_MODES.includes(v.layout) ? v.layout : 'top',
+      rotated: !!v.rotated,
+      privacy: !!v.privacy,
+      cardFields: Array.isArray(v.cardFields) ? v.cardFields : CARD_FIELDS.map(f => f.key),
+    };
+  }
+
+  function captureView(name) {
+    return {
+      name,
+      filter: activeFilter,
+      query: searchQuery,
+      sortColumn,
+      sortDirection,
+      layout: layoutMode,
+      rotated,
+      privacy,
+      cardFields: [...cardFields],
+    };
+  }
+
+  // Privacy mode is shared by every screen, including the wall, so a view
+  // may turn it on but never off: unmasking takes the P key or the popup.
+  // restoring is set for the automatic re-apply at startup, which leaves it
+  function applyView(slot, restoring) {
+    const view = views[slot];
+    if (!view) return;
+    activeView = slot;
+    chrome.storage.local.set({ vtActiveView: slot });
+
+    searchQuery = view.query;
+    const search = document.getElementById('vt-search');
+    if (search) search.value = searchQuery;
+    compileSearch();
+
+    sortColumn = view.sortColumn;
+    sortDirection = view.sortDirection;
+    const sortSelect = document.getElementById('vt-sort-select');
+    if (sortSelect) sortSelect.value = sortColumn;
+    const sortDir = document.getElementById('vt-sort-dir');
+    if (sortDir) sortDir.textContent = sortDirection === 'asc' ? '\u25b2' : '\u25bc';
+
+    if (view.layout !== layoutMode) {
+      layoutMode = view.layout;
+      applyLayout();
+      chrome.storage.local.set({ vtLayout: layoutMode });
+    }
+    if (view.rotated !== rotated) {
+      rotated = view.rotated;
+      applyRotation();
+      chrome.storage.local.set({ vtRotated: rotated });
+    }
+    cardFields = new Set(view.cardFields);
+    chrome.storage.local.set({ vtCardFields: [...cardFields] });
+    if (!restoring && view.privacy && !privacy) setPrivacy(true);
+
+    renderViewsPanel();
+    setFilter(view.filter);
+  }
+
+  // Same name overwrites that view, otherwise the first free key is used
+  function saveView(name) {
+    name = name.trim();
+    let slot = views.findIndex(v => v && v.name === name);
+    if (slot < 0) slot = views.indexOf(null);
+    const error = !name ? 'Enter a name first'
+      : slot < 0 ? 'All view keys are in use \u2014 remove a view first' : '';
+    document.getElementById('vt-views-error').textContent = error;
+    if (error) return;
+    views[slot] = captureView(name);
+    activeView = slot;
+    chrome.storage.local.set({ vtActiveView: slot });
+    document.getElementById('vt-view-name').value = '';
+    storeViews();
+    renderViewsPanel();
+  }
+
+  function removeView(slot) {
+    views[slot] = null;
+    if (activeView === slot) activeView = -1;
+    storeViews();
+    renderViewsPanel();
+  }
+
+  function storeViews() {
+    try {
+      chrome.storage.sync.set({ [VT_VIEWS_KEY]: views });
+    } catch (_) { /* extension context may be invalidated */ }
+  }
+
+  function viewSummary(v) {
+    const filter = v.filter.startsWith(SAVED_FILTER_PREFIX) ? v.filter.slice(SAVED_FILTER_PREFIX.length) : v.filter;
+    return [
+      filter,
+      v.query,
+      v.layout,
+      v.sortColumn + (v.sortDirection === 'asc' ? ' \u25b2' : ' \u25bc'),
+      v.rotated ? 'rotated' : '',
+      v.privacy ? 'private' : '',
+    ].filter(Boolean).join(' \u00b7 ');
+  }
+
+  function renderViewsPanel() {
+    const list = document.getElementById('vt-views-list');
+    if (!list) return;
+    list.innerHTML = VT_VIEW_KEYS.map((key, i) => {
+      const v = views[i];
+      if (!v) {
+        return '<div class="vt-view vt-view--empty"><kbd>' + key + '</kbd><span class="vt-view-summary">empty</span></div>';
+      }
+      return '<div class="vt-view' + (i === activeView ? ' active' : '') + '" data-view-apply="' + i + '" title="Switch to this view (' + key + ')">' +
+        '<kbd>' + key + '</kbd>' + esc(v.name) +
+        '<span class="vt-view-summary">' + esc(viewSummary(v)) + '</span>' +
+        '<span class="vt-view-remove" data-view-remove="' + i + '" title="Remove">\u00d7</span>' +
+      '</div>';
+    }).join('');
+    document.querySelectorAll('#vt-views-panel [data-card-field]').forEach(cb => {
+      cb.checked = cardFields.has(cb.getAttribute('data-card-field'));
+    });
+    document.getElementById('vt-view-cycle').value = String(viewCycleSeconds);
+    document.getElementById('vt-views-btn').classList.toggle('active', activeView >= 0 || viewCycleSeconds > 0);
+  }
+
+  function toggleViewsPanel() {
+    const panel = document.getElementById('vt-views-panel');
+    if (!panel) return;
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  }
+
+  // Unattended displays: step through the saved views in key order
+  function setViewCycle(seconds) {
+    viewCycleSeconds = VIEW_CYCLE_SECONDS.includes(seconds) ? seconds : 0;
+    chrome.storage.local.set({ vtViewCycle: viewCycleSeconds });
+    clearInterval(viewCycleTimer);
+    if (viewCycleSeconds > 0) viewCycleTimer = setInterval(nextView, viewCycleSeconds * 1000);
+    renderViewsPanel();
+  }
+
+  function nextView() {
+    for (let step = 1; step <= views.length; step++) {
+      const slot = (activeView + step + views.length) % views.length;
+      if (views[slot]) {
+        if (slot !== activeView) applyView(slot);
+        return;
+      }
+    }
+  }
+
+  // After a restart the last applied view comes back; after a TripViewCentral
+  // reload the restored session state wins, so ad-hoc changes survive
+  function loadViews() {
+    chrome.storage.sync.get(VT_VIEWS_KEY, (r) => {
+      const stored = r && r[VT_VIEWS_KEY];
+      views = VT_VIEW_KEYS.map((_, i) => normalizeView(Array.isArray(stored) ? stored[i] : null));
+      chrome.storage.local.get(['vtActiveView', 'vtViewCycle'], (l) => {
+        const slot = views[l.vtActiveView] ? l.vtActiveView : -1;
+        if (slot >= 0 && !sessionRestored) applyView(slot, true);
+        else activeView = slot;
+        setViewCycle(l.vtViewCycle);
+      });
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync' || !changes[VT_VIEWS_KEY]) return;
+      const stored = changes[VT_VIEWS_KEY].newValue;
+      views = VT_VIEW_KEYS.map((_, i) => normalizeView(Array.isArray(stored) ? stored[i] : null));
+      if (activeView >= 0 && !views[activeView]) activeView = -1;
+      renderViewsPanel();
+    });
+  }
+
+  function toggleDebug() {
+    debugVisible = !debugVisible;
+    const panel = document.getElementById('vt-debug-panel');
+    if (panel) {
+      panel.style.display = debugVisible ? 'block' : 'none';
+      if (debugVisible) renderDebugPanel();
+    }
+    const btn = document.getElementById('vt-debug-btn');
+    if (btn) btn.classList.toggle('active', debugVisible);
+  }
+
+  function toggleLayout() {
+    layoutMode = LAYOUT_MODES[(LAYOUT_MODES.indexOf(layoutMode) + 1) % LAYOUT_MODES.length];
+    applyLayout();
+    chrome.storage.local.set({ vtLayout: layoutMode });
+  }
+
+  function applyLayout() {
+    const wb = document.getElementById('vt-wallboard');
+    if (!wb) return;
+    wb.classList.toggle('vt-sidebar-mode', layoutMode === 'side');
+    wb.classList.toggle('vt-lanes-mode', layoutMode === 'lanes');
+    wb.classList.toggle('vt-timeline-mode', layoutMode === 'timeline');
+    const btn = document.getElementById('vt-layout-btn');
+    if (btn) btn.classList.toggle('active', layoutMode !== 'top');
+    lastLanesHtml = '';
+    lastTimelineHtml = '';
+    renderLanes();
+    renderTimeline();
+  }
+
+  function setTimelineZoom(hours) {
+    if (!TIMELINE_ZOOM_HOURS.includes(hours)) return;
+    timelineZoomHours = hours;
+    chrome.storage.local.set({ vtTimelineZoom: hours });
+    renderTimeline();
+  }
+
+  function toggleRotate() {
+    rotated = !rotated;
+    applyRotation();
+    chrome.storage.local.set({ vtRotated: rotated });
+  }
+
+  // ----------------------------------------------------------
+  //  Privacy mode
+  // ----------------------------------------------------------
+  // Passenger details are masked wherever the wallboard prints them, so the
+  // screen can face drivers and visitors. Only the display is masked: search
+  // still matches the real values and the detail drawer, opened on purpose
+  // by the dispatcher, shows them in full.
+  const PRIVATE_FIELDS = {
+    navn: maskName,
+    tlf: maskPhone,
+    meldingTilBil: () => '\u2026',
+  };
+
+  // "Kari Nordmann" → "K. N."
+  function maskName(name) {
+    return name.split(/\s+/).filter(Boolean).map(w => w[0].toUpperCase() + '.').join(' ');
+  }
+
+  // "+47 998 87 766" → "••766"
+  function maskPhone(tlf) {
+    const digits = tlf.replace(/\D/g, '');
+    return digits ? '\u2022\u2022' + digits.slice(-3) : '';
+  }
+
+  // Value of a booking field as it may be shown right now
+  function shown(key, value) {
+    return privacy && value && PRIVATE_FIELDS[key] ? PRIVATE_FIELDS[key](value) : value;
+  }
+
+  // Booking ids fall back to a key that includes the passenger's name
+  function shownId(b) {
+    return privacy && b.navn ? b.id.split(b.navn).join(maskName(b.navn)) : b.id;
+  }
+
+  function setPrivacy(on) {
+    applyPrivacy(on);
+    if (isReplay) return; // the replay page must not unmask the live boards
+    chrome.storage.local.set({ [VT_PRIVACY_KEY]: privacy });
+  }
+
+  function applyPrivacy(on) {
+    if (on === privacy) return;
+    privacy = on;
+    const btn = document.getElementById('vt-privacy-btn');
+    if (btn) btn.classList.toggle('active', privacy);
+    renderTable();
+    renderDebugPanel();
+  }
+
+  function applyRotation() {
+    const wb = document.getElementById('vt-wallboard');
+    if (!wb) return;
+    wb.classList.toggle('vt-rotated', rotated);
+    const btn = document.getElementById('vt-rotate-btn');
+    if (btn) btn.classList.toggle('active', rotated);
+  }
+
+  function renderDebugPanel() {
+    const panel = document.getElementById('vt-debug-panel');
+    if (!panel || !debugVisible) return;
+
+    if (isReplay) {
+      const frame = replay && replay.frames[replay.index];
+      panel.innerHTML =
+        '<div style="font-weight:600;margin-bottom:6px;">Diagnostics (replay)</div>' +
+        '<div>Frame: <strong>' + (frame ? (replay.index + 1) + ' / ' + replay.frames.length : 'none') + '</strong></div>' +
+        '<div>Recorded: ' + (frame ? esc(formatDate(new Date(frame.at)) + ' ' + formatFullTime24(new Date(frame.at))) : '\u2014') + '</div>' +
+        '<div>Table found in frame: <strong>' + (tableFound ? 'YES' : 'NO') + '</strong></div>' +
+        '<div>Bookings parsed: <strong>' + bookings.length + '</strong></div>' +
+        schemaHtml() +
+        unknownStatusesHtml();
+      return;
+    }
+
+    if (isWallboardWindow) {
+      const f = wallboardFeed;
+      panel.innerHTML =
+        '<div style="font-weight:600;margin-bottom:6px;">Diagnostics (wallboard window)</div>' +
+        '<div>Feeding tab: <strong>' + (f ? '#' + f.tabId : 'none') + '</strong></div>' +
+        '<div>Last feed: ' + (f ? timeSince(f.receivedAt) : 'never') + '</div>' +
+        '<div>Table found in tab: <strong>' + (f && f.tableFound ? 'YES' : 'NO') + '</strong></div>' +
+        '<div>Bookings received: <strong>' + bookings.length + '</strong></div>' +
+        '<div>Tab parse count: ' + (f ? f.parseCount : 0) + '</div>' +
+        schemaHtml() +
+        unknownStatusesHtml();
+      return;
+    }
+
+    const docs = getAllDocuments();
     const found = findBookingTable();
 
     let tablesInfo = '';
@@ -992,6 +2156,7 @@
           diagHtml += '<div style="font-size:11px;color:#6b7a94;margin-left:12px;margin-bottom:2px;">' +
             'Row ' + (i + 1) + ': ' + s.cellCount + ' cells | ' +
             'taxi=' + esc(s.taxi) + ' | ' +
+            'navn=' + esc(shown('navn', s.navn)) + ' | ' +
             'status=' + esc(s.status) + ' | ' +
             'utrop="' + esc(s.utrop) + '"→' + esc(parsedUtr) + ' | ' +
             'oppmote="' + esc(s.oppmote) + '"→' + esc(parsedOpp) +
@@ -1001,10 +2166,30 @@
       }
     }
 
+    // Which frame each row came from
+    const frameIds = Object.keys(subFrames);
+    let sourcesHtml = '<div style="margin-top:6px;"><strong>Sub-frames reporting:</strong> ' + frameIds.length + '</div>';
+    for (const fid of frameIds) {
+      const f = subFrames[fid];
+      sourcesHtml += '<div style="font-size:11px;color:#6b7a94;margin-left:12px;margin-bottom:2px;">' +
+        'frame #' + esc(fid) + ': ' + f.bookings.length + ' rows, table=' + (f.tableFound ? 'yes' : 'no') +
+        ', ' + timeSince(f.receivedAt) + ' — ' + esc(f.url) + '</div>';
+    }
+    if (bookings.length > 0) {
+      sourcesHtml += '<div style="margin-top:6px;"><strong>Row sources:</strong></div>';
+      for (const b of bookings) {
+        sourcesHtml += '<div style="font-size:11px;color:#6b7a94;margin-left:12px;">' +
+          formatTime24(b.utrop) + ' ' + esc(b.taxi || '\u2014') + ' [' + esc(shownId(b)) + '] \u2190 ' +
+          esc(b.source || '?') + '</div>';
+      }
+    }
+
     const iframes = document.querySelectorAll('iframe, frame');
 
     panel.innerHTML =
       '<div style="font-weight:600;margin-bottom:6px;">Diagnostics</div>' +
+      schemaHtml() +
+      unknownStatusesHtml() +
       '<div>Table found: <strong>' + (found ? 'YES' : 'NO') + '</strong></div>' +
       '<div>Bookings parsed: <strong>' + bookings.length + '</strong></div>' +
       '<div>Parse count: ' + parseCount + '</div>' +
@@ -1013,34 +2198,117 @@
       '<div>Is sub-frame: ' + isSubFrame + '</div>' +
       '<div style="margin-top:6px;"><strong>Tables:</strong></div>' +
       tablesInfo +
-      diagHtml;
+      diagHtml +
+      sourcesHtml;
+  }
+
+  // Blocks the card list while required columns are missing, until the
+  // header row changes or the user chooses to see the wallboard anyway
+  function renderSchemaBanner() {
+    const banner = document.getElementById('vt-schema-banner');
+    if (!banner) return;
+    const failing = tableFound && schema && !schema.ok;
+    const show = failing && schema.signature !== schemaDismissed;
+    document.getElementById('vt-wallboard').classList.toggle('vt-schema-blocked', !!show);
+    banner.style.display = show ? 'flex' : 'none';
+    if (!failing) schemaDismissed = '';
+    if (!show) return;
+    const html =
+      '<div class="vt-schema-box">' +
+        '<div class="vt-schema-title">\u26a0 The Taxiportalen table has changed</div>' +
+        '<div>Missing columns: <strong>' + schema.missing.map(esc).join(', ') + '</strong></div>' +
+        (schema.unknown.length > 0
+          ? '<div>Unrecognised headers: ' + schema.unknown.map(h => '<code>' + esc(h) + '</code>').join(' ') + '</div>'
+          : '') +
+        '<div class="vt-schema-help">Bookings will show empty or wrong fields until the new header names are added as aliases in Settings.</div>' +
+        '<div class="vt-schema-actions">' +
+          '<button class="vt-filter-btn active" data-action="schema-options">Add header aliases\u2026</button>' +
+          '<button class="vt-filter-btn" data-action="schema-dismiss">Show wallboard anyway</button>' +
+        '</div>' +
+      '</div>';
+    if (banner.innerHTML !== html) banner.innerHTML = html;
+  }
+
+  function schemaHtml() {
+    if (!schema) return '';
+    return '<div style="margin-bottom:6px;color:' + (schema.ok ? '#86efac' : '#f87171') + ';">' +
+      '<strong>Schema:</strong> ' + (schema.ok ? 'OK' : 'missing ' + esc(schema.missing.join(', '))) +
+      (schema.unknown.length > 0 ? ' \u00b7 unmapped headers: ' + esc(schema.unknown.join(', ')) : '') +
+      '</div>';
+  }
+
+  // Warn about statuses no status rule covers (treated as active)
+  function unknownStatusesHtml() {
+    if (unknownStatuses.size === 0) return '';
+    let html = '<div style="margin-bottom:6px;color:#fbbf24;"><strong>\u26a0 Statuses without a rule</strong> ' +
+      '(shown as active — add them under Status rules in Settings):</div>';
+    for (const [status, u] of unknownStatuses) {
+      html += '<div style="font-size:11px;color:#fbbf24;margin-left:12px;">"' + esc(status) + '" \u2014 ' +
+        u.count + ' booking' + (u.count === 1 ? '' : 's') + ' now, first seen ' + timeSince(u.firstSeen) + '</div>';
+    }
+    return html;
   }
 
   // ----------------------------------------------------------
   //  Render
   // ----------------------------------------------------------
-  function renderStats(displayed) {
+  function renderStats(shown) {
+    const displayed = shown.filter(b => !b.ghost);
+    const removed = shown.length - displayed.length;
     const total = displayed.length;
     const sending = displayed.filter(b => b.status === 'UNDER SENDING').length;
     const upcoming = displayed.filter(b => isUpcoming(b.utrop)).length;
     const active = displayed.filter(b =>
-      !COMPLETED_STATUSES.has(b.status) && b.status !== 'UNDER SENDING'
+      !isCompletedStatus(b.status) && b.status !== 'UNDER SENDING'
     ).length;
-    const completed = displayed.filter(b => COMPLETED_STATUSES.has(b.status)).length;
+    const completed = displayed.filter(b => isCompletedStatus(b.status)).length;
+    const overdue = displayed.filter(isOverdue).length;
+    const conflicts = displayed.filter(b => !b.ghost && taxiConflicts[b.id]).length;
+    const specialSoon = displayed.filter(isSpecialSoon).length;
 
-    document.getElementById('vt-stats').innerHTML =
+    // Oldest UNDER SENDING: its age is a live counter, its tier colours it
+    let oldest = null;
+    for (const b of displayed) {
+      const since = sendingSince(b);
+      if (since !== null && (!oldest || since < sendingSince(oldest))) oldest = b;
+    }
+    const oldestTier = oldest ? escalationTier(oldest) : 0;
+
+    const html =
       '<div class="vt-stat vt-stat--total"><span class="vt-stat-dot"></span><span class="vt-stat-value">' + total + '</span><span>Total</span></div>' +
       '<div class="vt-stat vt-stat--sending"><span class="vt-stat-dot"></span><span class="vt-stat-value">' + sending + '</span><span>Under Sending</span></div>' +
       '<div class="vt-stat vt-stat--upcoming"><span class="vt-stat-dot"></span><span class="vt-stat-value">' + upcoming + '</span><span>Upcoming</span></div>' +
       '<div class="vt-stat vt-stat--active"><span class="vt-stat-dot"></span><span class="vt-stat-value">' + active + '</span><span>Active</span></div>' +
-      '<div class="vt-stat vt-stat--completed"><span class="vt-stat-dot"></span><span class="vt-stat-value">' + completed + '</span><span>Completed</span></div>';
+      '<div class="vt-stat vt-stat--completed"><span class="vt-stat-dot"></span><span class="vt-stat-value">' + completed + '</span><span>Completed</span></div>' +
+      '<div class="vt-stat vt-stat--overdue' + (overdue > 0 ? ' vt-stat--alert' : '') + '"><span class="vt-stat-dot"></span><span class="vt-stat-value">' + overdue + '</span><span>Overdue</span></div>' +
+      '<div class="vt-stat vt-stat--conflicts' + (conflicts > 0 ? ' vt-stat--alert' : '') + '"><span class="vt-stat-dot"></span><span class="vt-stat-value">' + conflicts + '</span><span>Conflicts</span></div>' +
+      '<div class="vt-stat vt-stat--special' + (specialSoon > 0 ? ' vt-stat--alert' : '') + '" title="Trips needing a special vehicle or equipment with UTROP in the next hour">' +
+        '<span class="vt-stat-dot"></span><span class="vt-stat-value">' + specialSoon + '</span><span>Special &lt;1h</span></div>' +
+      '<div class="vt-stat vt-stat--removed"><span class="vt-stat-dot"></span><span class="vt-stat-value">' + removed + '</span><span>Fjernet</span></div>' +
+      '<div class="vt-stat vt-stat--oldest' + (oldestTier > 0 ? ' vt-stat--esc-' + oldestTier : '') + '"><span class="vt-stat-dot"></span>' +
+        (oldest
+          ? '<span class="vt-stat-value" data-since="' + sendingSince(oldest) + '"></span>'
+          : '<span class="vt-stat-value">\u2014</span>') +
+        '<span>Oldest pending</span></div>';
+
+    // Only touch the DOM when a number changed (keeps the pulse animation running)
+    if (html === lastStatsHtml) return;
+    lastStatsHtml = html;
+    document.getElementById('vt-stats').innerHTML = html;
   }
 
   function updateStatusIndicator() {
     const el = document.getElementById('vt-status-indicator');
     if (!el) return;
 
-    if (!tableFound) {
+    if (isReplay && !tableFound) {
+      el.className = 'vt-indicator--searching';
+      el.querySelector('.vt-indicator-text').textContent =
+        replay && replay.frames.length > 0 ? 'Replay \u2014 no table in this frame' : 'Replay \u2014 open a recording';
+    } else if (isWallboardWindow && !tableFound) {
+      el.className = 'vt-indicator--searching';
+      el.querySelector('.vt-indicator-text').textContent = 'Waiting for Taxiportalen tab...';
+    } else if (!tableFound) {
       el.className = 'vt-indicator--searching';
       el.querySelector('.vt-indicator-text').textContent = 'Searching for table...';
     } else if (bookings.length === 0) {
@@ -1048,7 +2316,8 @@
       el.querySelector('.vt-indicator-text').textContent = 'Table found, no data';
     } else {
       el.className = 'vt-indicator--connected';
-      el.querySelector('.vt-indicator-text').textContent = 'Live \u2014 ' + bookings.length + ' bookings';
+      el.querySelector('.vt-indicator-text').textContent =
+        (isReplay ? 'Replay \u2014 ' : 'Live \u2014 ') + bookings.length + ' bookings';
     }
 
     const upd = document.getElementById('vt-last-update');
@@ -1057,40 +2326,228 @@
     }
   }
 
-  function buildCard(b, classes, statusSlug, groupBadge, countdownHtml, taxiStyle) {
+  function buildDetailTime(label, raw, parsed) {
+    return '<span class="vt-detail-label">' + label + '</span>' +
+      '<span class="vt-detail-value">' + formatTime24(parsed) +
+        (parsed ? ' <span class="vt-detail-muted">' + esc(formatDate(parsed)) + '</span>' : '') +
+        ' <span class="vt-detail-raw">"' + esc(raw) + '"</span>' +
+      '</span>';
+  }
+
+  // Status transitions with time spent in each state. The first entry is
+  // when the wallboard first saw the booking, not when Taxiportalen set it.
+  function buildStatusTimeline(b) {
+    const hist = statusHistory[b.id];
+    if (!hist || hist.length === 0) return '';
+
+    let html = '<div class="vt-detail-section">STATUS HISTORY</div><div class="vt-timeline">';
+    for (let i = 0; i < hist.length; i++) {
+      const entry = hist[i];
+      const next = hist[i + 1];
+      // The current state's duration ticks in place (see updateLiveCounters)
+      const spent = next
+        ? formatDuration(next.at - entry.at)
+        : '<span data-since="' + entry.at + '"></span> so far';
+      html += '<div class="vt-timeline-entry' + (next ? '' : ' vt-timeline-entry--current') + '">' +
+        '<span class="vt-timeline-time">' + formatFullTime24(new Date(entry.at)) + '</span>' +
+        '<span class="vt-status-badge vt-status--' + statusBadgeClass(entry.status) + '"' + statusBadgeStyle(entry.status) + '>' + esc(entry.status || '\u2014') + '</span>' +
+        '<span class="vt-timeline-spent">' + spent +
+          (i === 0 ? ' <span class="vt-detail-muted">(first seen)</span>' : '') + '</span>' +
+        '</div>';
+    }
+    return html + '</div>';
+  }
+
+  // Expanded drawer: every parsed field, raw vs parsed times and the
+  // other members of the booking's ALTTURID group
+  function buildDetail(b) {
+    let grid = buildDetailTime('UTROP', b.utropRaw, b.utrop) +
+      buildDetailTime('OPPMOTE', b.oppmoteRaw, b.oppmote);
+    for (const f of DETAIL_FIELDS) {
+      grid += '<span class="vt-detail-label">' + f.label + '</span>' +
+        '<span class="vt-detail-value">' + (b[f.key] ? esc(b[f.key]) : '<span class="vt-detail-muted">\u2014</span>') + '</span>';
+    }
+    const caps = bookingCapabilities(b);
+    if (caps.length > 0) {
+      grid += '<span class="vt-detail-label">NEEDS</span>' +
+        '<span class="vt-detail-value">' + caps.map(c => esc(c.icon + ' ' + c.label)).join(', ') + '</span>';
+    }
+
+    let html = '<div class="vt-detail">' +
+      '<button class="vt-detail-close" data-action="close" title="Close (Esc)">\u00d7</button>' +
+      '<div class="vt-detail-grid">' + grid + '</div>';
+
+    html += buildStatusTimeline(b);
+
+    const note = notes[b.id];
+    html += '<div class="vt-detail-section">NOTE' +
+      (note && note.text
+        ? ' <span class="vt-detail-muted">\u2014 ' + (note.by ? esc(note.by) + ', ' : '') + formatTime24(new Date(note.at)) + '</span>'
+        : '') + '</div>' +
+      '<textarea class="vt-note-input" data-note-id="' + escAttr(b.id) + '" rows="2" maxlength="500" ' +
+        'placeholder="Only kept on this computer, until the trip leaves the time window">' + esc(noteText(b.id)) + '</textarea>' +
+      '<div class="vt-note-actions">' +
+        '<button class="vt-note-btn" data-action="note-save" title="Save (Ctrl+Enter)">Save note</button>' +
+        (note && note.text ? '<button class="vt-note-btn" data-action="note-clear">Clear</button>' : '') +
+      '</div>';
+
+    if (b.meldingTilBil) {
+      html += '<div class="vt-detail-section">MELDING TIL BIL</div>' +
+        '<div class="vt-detail-melding">' + esc(b.meldingTilBil) + '</div>';
+    }
+
+    if (b.altturid) {
+      const members = bookings.filter(o => o.altturid === b.altturid && o.id !== b.id);
+      html += '<div class="vt-detail-section">ALTTURID ' + esc(b.altturid) + ' \u2014 ' +
+        (members.length === 0 ? 'no other bookings' : members.length + ' other booking(s)') + '</div>';
+      for (const m of members) {
+        html += '<div class="vt-detail-member" data-open-id="' + escAttr(m.id) + '">' +
+          formatTime24(m.utrop) + ' \u2192 ' + formatTime24(m.oppmote) + ' \u00b7 ' +
+          esc(m.taxi || '\u2014') + ' \u00b7 ' + esc(m.navn || '\u2014') + ' \u00b7 ' +
+          esc(m.fra || '\u2014') + ' \u2192 ' + esc(m.til || '\u2014') +
+          ' <span class="vt-status-badge vt-status--' + statusBadgeClass(m.status) + '"' + statusBadgeStyle(m.status) + '>' + esc(m.status) + '</span>' +
+          '</div>';
+      }
+    }
+
+    return html + '</div>';
+  }
+
+  // Card markup must not depend on the current second: countdowns and
+  // durations are empty placeholders filled by updateLiveCounters(), so an
+  // unchanged booking always produces identical HTML.
+  function buildCard(b, classes, statusSlug, groupBadge, taxiStyle) {
     // Build route: "fra → til"
     const route = (b.fra || '\u2014') + ' \u2192 ' + (b.til || '\u2014');
 
     // Sub-line: melding + extras (only shown if content exists)
     const parts = [];
-    if (b.meldingTilBil) parts.push('<span class="vt-sub-melding">' + esc(b.meldingTilBil) + '</span>');
-    if (b.tlf) parts.push(esc(b.tlf));
-    if (b.egenskap) parts.push(esc(b.egenskap));
-    if (b.behandlingstid) parts.push(esc(b.behandlingstid));
-    if (b.bet) parts.push(esc(b.bet));
-    if (b.altturid) parts.push('Alt:' + esc(b.altturid));
+    const show = (key) => cardFields.has(key);
+    if (b.meldingTilBil && show('melding') && !privacy) parts.push('<span class="vt-sub-melding">' + esc(b.meldingTilBil) + '</span>');
+    if (b.tlf && show('tlf')) parts.push(esc(shown('tlf', b.tlf)));
+    const undecoded = undecodedEgenskap(b);
+    if (undecoded && show('egenskap')) parts.push(esc(undecoded));
+    if (b.behandlingstid && show('behandlingstid')) parts.push(esc(b.behandlingstid));
+    if (b.bet && show('bet')) parts.push(esc(b.bet));
+    if (b.altturid && show('altturid')) parts.push('Alt:' + esc(b.altturid));
     const subHtml = parts.length > 0
       ? '<div class="vt-card-sub">' + parts.join(' \u00b7 ') + '</div>'
       : '';
 
-    return '<div class="vt-card ' + classes + '" data-id="' + escAttr(b.id) + '">' +
+    // Recently changed fields: "old → new", and highlight where they show
+    const changes = fieldChanges[b.id] || {};
+    const changed = {};
+    const changeParts = [];
+    for (const f of DIFF_FIELDS) {
+      const c = changes[f.key];
+      if (!c) continue;
+      if (DIFF_TARGETS[f.key]) changed[DIFF_TARGETS[f.key]] = ' vt-field-changed';
+      changeParts.push('<span class="vt-change' + (f.critical ? ' vt-change--critical' : '') + '">' +
+        f.label + ' <s>' + esc(formatChangeValue(f, shown(f.key, c.from))) + '</s> \u2192 ' +
+        esc(formatChangeValue(f, shown(f.key, c.to))) + '</span>');
+    }
+    const changesHtml = changeParts.length > 0
+      ? '<div class="vt-card-changes">' + changeParts.join('') + '</div>'
+      : '';
+    if (changeParts.length > 0) classes += ' vt-card--changed';
+
+    // Double-booked taxi: one warning per other trip, opening it on click
+    const conflictHtml = b.ghost ? '' : (taxiConflicts[b.id] || []).map(c =>
+      '<span class="vt-conflict" data-open-id="' + escAttr(c.other.id) + '" title="' + escAttr(conflictTitle(c)) + '">\u26a0</span>'
+    ).join('');
+
+    // Overdue: how long past OPPMOTE, as a live counter
+    const overdueHtml = isOverdue(b)
+      ? '<span class="vt-overdue-age" title="OPPMOTE passed without an accepted car">+<span data-since="' +
+          b.oppmote.getTime() + '"></span></span>'
+      : '';
+
+    // UNDER SENDING: acknowledge button, or who silenced it and when
+    let ackHtml = '';
+    if (!b.ghost && b.status === 'UNDER SENDING') {
+      const since = sendingSince(b);
+      if (since !== null) {
+        ackHtml += '<span class="vt-sending-age" data-since="' + since + '" title="UNDER SENDING since ' +
+          formatTime24(new Date(since)) + '"></span>';
+      }
+      const ack = isAcked(b.id) ? acks[b.id] : null;
+      if (ack) {
+        classes += ' vt-card--acked';
+        const at = formatTime24(new Date(ack.at));
+        const realert = formatTime24(new Date(ack.at + settings.ackRealertMinutes * 60000));
+        ackHtml += '<span class="vt-ack-badge" title="Acknowledged' + (ack.by ? ' by ' + escAttr(ack.by) : '') +
+          ' at ' + at + ', re-alerts at ' + realert + '">\u2713 ' + (ack.by ? esc(ack.by) + ' ' : '') + at + '</span>';
+      } else {
+        ackHtml += '<button class="vt-ack-btn" data-action="ack" title="Acknowledge (A)">Ack</button>';
+      }
+    }
+
+    const expanded = expandedRowId === b.id;
+    if (expanded) classes += ' vt-card--expanded';
+
+    // Decoded capabilities as icon + label chips next to the taxi
+    const caps = bookingCapabilities(b);
+    const capsHtml = caps.length > 0 && show('egenskap')
+      ? '<span class="vt-card-caps">' + caps.map(c =>
+          '<span class="vt-cap">' + esc(c.icon) + ' ' + esc(c.label) + '</span>').join('') + '</span>'
+      : '';
+
+    // Pin and note actions; the note itself shows under the card
+    const pinned = isPinned(b.id);
+    const text = noteText(b.id);
+    if (pinned) classes += ' vt-card--pinned';
+    const actionsHtml = '<span class="vt-card-actions">' +
+      '<button class="vt-card-action' + (pinned ? ' active' : '') + '" data-action="pin" title="' +
+        (pinned ? 'Unpin' : 'Pin to the top') + '">\ud83d\udccc</button>' +
+      '<button class="vt-card-action' + (text ? ' active' : '') + '" data-action="note" title="Note">\u270e</button>' +
+      '</span>';
+    // Notes are free text, so privacy mode leaves only the marker on the
+    // card; the full note stays in the detail drawer
+    const noteHtml = !text ? ''
+      : privacy ? '<div class="vt-card-note">\u270e</div>'
+      : '<div class="vt-card-note" title="' + escAttr((notes[b.id].by ? notes[b.id].by + ', ' : '') +
+          formatTime24(new Date(notes[b.id].at))) + '">\u270e ' + esc(text) + '</div>';
+
+    const ruleStyle = rowRuleStyle(b);
+    return '<div class="vt-card ' + classes + '" data-id="' + escAttr(b.id) + '"' +
+      (ruleStyle ? ' style="' + ruleStyle + '"' : '') + '>' +
       '<div class="vt-card-row">' +
-        '<span class="vt-card-time">' + formatTime24(b.utrop) +
+        '<span class="vt-card-time' + (changed.time || '') + '">' + formatTime24(b.utrop) +
           '<span class="vt-arr">\u2192</span>' + formatTime24(b.oppmote) +
-          countdownHtml + '</span>' +
-        '<span class="vt-card-taxi"' + taxiStyle + '>' + esc(b.taxi) + '</span>' +
+          '<span class="vt-countdown"></span></span>' +
+        overdueHtml +
+        '<span class="vt-card-taxi' + (changed.taxi || '') + '"' + taxiStyle + '>' + esc(b.taxi) + '</span>' +
+        capsHtml +
+        conflictHtml +
         groupBadge +
-        '<span class="vt-card-route" title="' + escAttr(route) + '">' + esc(route) + '</span>' +
-        '<span class="vt-card-navn">' + esc(b.navn) + '</span>' +
-        '<span class="vt-status-badge vt-status--' + statusSlug + '">' + esc(b.status) + '</span>' +
+        (show('route')
+          ? '<span class="vt-card-route' + (changed.route || '') + '" title="' + escAttr(route) + '">' + esc(route) + '</span>'
+          : '') +
+        (show('navn') ? '<span class="vt-card-navn' + (changed.navn || '') + '">' + esc(shown('navn', b.navn)) + '</span>' : '') +
+        (b.ghost
+          ? '<span class="vt-status-badge vt-status--fjernet" title="Removed from Taxiportalen at ' +
+              formatTime24(new Date(b.removedAt)) + ' (was ' + escAttr(b.status) + ')">Fjernet</span>'
+          : '<span class="vt-status-badge vt-status--' + statusSlug + (changed.status || '') + '"' + statusBadgeStyle(b.status) + '>' + esc(b.status) + '</span>') +
+        ackHtml +
+        actionsHtml +
       '</div>' +
+      changesHtml +
       subHtml +
+      noteHtml +
+      (expanded ? buildDetail(b) : '') +
     '</div>';
   }
 
+  // Keyed DOM reconciliation: one element per booking id. Only cards that
+  // were added, removed, moved or whose markup changed are touched, so hover
+  // state and CSS animations survive re-renders.
   function renderTable() {
-    const sorted = sortBookings([...bookings]);
+    detectTaxiConflicts();
+    const sorted = sortBookings([...bookings, ...ghostBookings()]);
     const displayed = filterBookings(sorted);
+    // Pinned bookings sit in a strip above the list, whatever the filter
+    const pinned = sorted.filter(b => isPinned(b.id));
+    const listed = displayed.filter(b => !isPinned(b.id));
 
     renderStats(displayed);
     updateStatusIndicator();
@@ -1099,16 +2556,28 @@
     const container = document.getElementById('vt-cards');
     const empty = document.getElementById('vt-empty');
 
-    if (displayed.length === 0) {
-      container.innerHTML = '';
-      empty.style.display = 'flex';
-      return;
+    // Detect new bookings (against everything parsed, not just what the
+    // current filter shows)
+    const currentIds = new Set(bookings.map(b => b.id));
+    const newIds = new Set();
+    if (previousBookingIds.size > 0) {
+      for (const id of currentIds) {
+        if (!previousBookingIds.has(id)) newIds.add(id);
+      }
+    }
+    previousBookingIds = currentIds;
+
+    // previousBookingIds is empty on the very first parse (unless restored
+    // after a reload), so a page load doesn't count everything as new
+    if (newIds.size > 0) {
+      playNewBookingSound();
     }
-    empty.style.display = 'none';
+
+    empty.style.display = pinned.length + listed.length === 0 ? 'flex' : 'none';
 
     // Build ALTTURID group sets
     const altGroups = {};
-    for (const b of displayed) {
+    for (const b of listed) {
       if (b.altturid) {
         if (!altGroups[b.altturid]) altGroups[b.altturid] = [];
         altGroups[b.altturid].push(b.id);
@@ -1118,28 +2587,37 @@
     const groupActive = {};
     for (const [aid, ids] of Object.entries(altGroups)) {
       if (ids.length <= 1) continue;
-      groupActive[aid] = displayed.some(b =>
-        b.altturid === aid && !COMPLETED_STATUSES.has(b.status)
+      groupActive[aid] = listed.some(b =>
+        b.altturid === aid && !b.ghost && !isCompletedStatus(b.status)
       );
     }
 
-    // Detect new bookings
-    const currentIds = new Set(displayed.map(b => b.id));
-    const newIds = new Set();
-    if (previousBookingIds.size > 0) {
-      for (const id of currentIds) {
-        if (!previousBookingIds.has(id)) newIds.add(id);
-      }
-    }
-
-    let html = '';
-    for (let i = 0; i < displayed.length; i++) {
-      const b = displayed[i];
-      const isGrouped = b.altturid && altGroups[b.altturid] && altGroups[b.altturid].length > 1;
+    // Day dividers ("I går / I dag / I morgen") when sorted by time
+    const byTime = sortColumn === 'utrop' || sortColumn === 'oppmote';
+    renderedDay = dayKey(now());
+    const wantedDays = new Set();
+    let lastDay = null;
+
+    const wanted = [];
+    const displayedIds = new Set();
+    if (pinned.length > 0) wanted.push(pinStrip(pinned.length));
+    else if (pinStripEl) pinStripEl.remove();
+    const ordered = [...pinned, ...listed];
+    for (let i = 0; i < ordered.length; i++) {
+      const b = ordered[i];
+      const inStrip = i < pinned.length;
+      const isGrouped = !inStrip && b.altturid && altGroups[b.altturid] && altGroups[b.altturid].length > 1;
       const ids = isGrouped ? altGroups[b.altturid] : [];
       const isFirst = isGrouped && ids.indexOf(b.id) === 0;
       const isLast = isGrouped && ids.indexOf(b.id) === ids.length - 1;
 
+      const when = b[sortColumn] || b.utrop || b.oppmote;
+      if (byTime && when && !inStrip && (!isGrouped || isFirst) && dayKey(when) !== lastDay) {
+        lastDay = dayKey(when);
+        wantedDays.add(lastDay);
+        wanted.push(dayDivider(lastDay, dayLabel(when)));
+      }
+
       let rClass = rowClass(b);
       if (isGrouped && groupActive[b.altturid] && rClass === 'vt-row--completed') {
         rClass = 'vt-row--active';
@@ -1149,96 +2627,633 @@
       if (isGrouped) classes += ' vt-group-member';
       if (isFirst) classes += ' vt-group-start';
       if (isLast) classes += ' vt-group-end';
-      if (newIds.has(b.id)) classes += ' vt-card-new';
 
       const statusSlug = statusBadgeClass(b.status);
       const groupBadge = isGrouped ? '<span class="vt-group-badge">G</span>' : '';
 
-      const countdown = isUpcoming(b.utrop) ? formatCountdown(b.utrop) : '';
-      const countdownHtml = countdown
-        ? '<span class="vt-countdown">' + countdown + '</span>'
-        : '';
-
       const tColor = taxiColor(b.taxi);
       const taxiStyle = tColor ? ' style="color:' + tColor + '"' : '';
 
-      html += buildCard(b, classes, statusSlug, groupBadge, countdownHtml, taxiStyle);
+      const html = buildCard(b, classes, statusSlug, groupBadge, taxiStyle);
+      let entry = cardCache.get(b.id);
+      if (!entry) {
+        entry = { el: createCardElement(html), html };
+        if (newIds.has(b.id)) entry.el.classList.add('vt-card-new');
+        cardCache.set(b.id, entry);
+      } else if (entry.html !== html && !editingNoteIn(entry.el)) {
+        const el = createCardElement(html);
+        if (entry.el.parentNode) entry.el.replaceWith(el);
+        entry.el = el;
+        entry.html = html;
+      }
+      entry.booking = b;
+      entry.upcoming = showsCountdown(b);
+      entry.cls = rowClass(b);
+      wanted.push(entry.el);
+      displayedIds.add(b.id);
     }
 
-    // Preserve scroll position during re-render
-    const wrap = document.getElementById('vt-cards-wrap');
-    const scrollTop = wrap ? wrap.scrollTop : 0;
-    container.innerHTML = html;
-    if (wrap) wrap.scrollTop = scrollTop;
-    previousBookingIds = currentIds;
+    // Drop cards and dividers that are no longer displayed
+    for (const [id, entry] of cardCache) {
+      if (displayedIds.has(id)) continue;
+      entry.el.remove();
+      cardCache.delete(id);
+    }
+    for (const [key, el] of dividerCache) {
+      if (wantedDays.has(key)) continue;
+      el.remove();
+      dividerCache.delete(key);
+    }
 
-    if (newIds.size > 0 && parseCount > 1) {
-      playNewBookingSound();
+    // Put the remaining cards in order, moving only those out of place
+    let cursor = container.firstElementChild;
+    for (const el of wanted) {
+      if (el === cursor) {
+        cursor = cursor.nextElementSibling;
+      } else {
+        container.insertBefore(el, cursor);
+      }
     }
+
+    displayedBookings = displayed;
+    renderLanes();
+    renderTimeline();
+    updateLiveCounters();
+    saveSessionState();
   }
 
-  // ----------------------------------------------------------
-  //  Clock
-  // ----------------------------------------------------------
-  function updateClock() {
-    const n = now();
-    const clockEl = document.getElementById('vt-clock');
-    if (clockEl) {
-      clockEl.textContent = pad(n.getHours()) + ':' + pad(n.getMinutes()) + ':' + pad(n.getSeconds());
+  function pinStrip(count) {
+    if (!pinStripEl) {
+      pinStripEl = document.createElement('div');
+      pinStripEl.className = 'vt-day-divider vt-pin-strip';
     }
-    const dateEl = document.getElementById('vt-date');
-    if (dateEl) {
-      dateEl.textContent = formatDate(n);
+    const label = '\ud83d\udccc Pinned (' + count + ')';
+    if (pinStripEl.textContent !== label) pinStripEl.textContent = label;
+    return pinStripEl;
+  }
+
+  function dayDivider(key, label) {
+    let el = dividerCache.get(key);
+    if (!el) {
+      el = document.createElement('div');
+      el.className = 'vt-day-divider';
+      dividerCache.set(key, el);
     }
-    // Update "last updated" periodically
-    const upd = document.getElementById('vt-last-update');
-    if (upd && lastParseTime) {
-      upd.textContent = 'Updated ' + timeSince(lastParseTime);
+    if (el.textContent !== label) el.textContent = label;
+    return el;
+  }
+
+  function showsCountdown(b) {
+    return !b.ghost && isUpcoming(b.utrop);
+  }
+
+  function createCardElement(html) {
+    const tpl = document.createElement('template');
+    tpl.innerHTML = html;
+    return tpl.content.firstElementChild;
+  }
+
+  // Once a second: fill countdowns and "so far" durations in place. A card
+  // whose time-based state changed (upcoming starts or ends, a trip moves
+  // into the past) needs new classes, so re-render then.
+  function updateLiveCounters() {
+    let crossed = false;
+    for (const entry of cardCache.values()) {
+      const b = entry.booking;
+      if (showsCountdown(b) !== entry.upcoming || rowClass(b) !== entry.cls) crossed = true;
+      const countdown = entry.el.querySelector('.vt-countdown');
+      const text = entry.upcoming ? formatCountdown(b.utrop) : '';
+      if (countdown && countdown.textContent !== text) countdown.textContent = text;
+    }
+    const n = nowMs();
+    document.querySelectorAll('#vt-cards [data-since], #vt-stats [data-since], #vt-lanes [data-since]').forEach(el => {
+      el.textContent = formatDuration(n - Number(el.getAttribute('data-since')));
+    });
+    if (pruneFieldChanges()) crossed = true;
+    if (pruneGhosts()) crossed = true;
+    if (pruneAcks()) crossed = true;
+    if (pruneNotes()) crossed = true;
+    if (dayKey(now()) !== renderedDay) crossed = true; // relabel the day dividers
+    if (crossed) {
+      renderTable();
+    } else {
+      // The lane and timeline axes move with the clock, as do the
+      // next-hour counts in the stats bar
+      renderStats(displayedBookings);
+      renderLanes();
+      renderTimeline();
     }
+    moveTimelineNowLine();
+    checkUnderSendingChime();
+    checkOverdueAlarm();
   }
 
   // ----------------------------------------------------------
-  //  Audio triggers
+  //  Fleet lanes (layout mode 'lanes')
   // ----------------------------------------------------------
-  function checkUtropChimes() {
-    const cb = currentBucket();
-    for (const b of bookings) {
-      if (!b.utrop) continue;
-      const bb = utropBucket(b.utrop);
-      if (bb === cb && !chimePlayed.has(b.id)) {
-        chimePlayed.add(b.id);
-        playUtropChime();
-        break;
-      }
-    }
+  // Maps a timestamp to a CSS left offset within [from, from + span]
+  function timeScale(from, span) {
+    return t => ((Math.min(Math.max(t, from), from + span) - from) / span * 100).toFixed(2) + '%';
   }
 
-  function checkUnderSendingChime() {
-    const hasSending = bookings.some(b => b.status === 'UNDER SENDING');
-    if (hasSending && !underSendingInterval) {
-      playUnderSendingChime();
-      underSendingInterval = setInterval(() => {
-        if (bookings.some(b => b.status === 'UNDER SENDING')) {
-          playUnderSendingChime();
-        } else {
-          clearInterval(underSendingInterval);
-          underSendingInterval = null;
+  // One lane per taxi, grouped by løyve prefix, with each trip drawn as a
+  // block from UTROP to OPPMOTE across laneHours starting an hour ago.
+  // Every taxi in the parsed list gets a lane, so idle cars show as empty
+  // lanes. Markup depends on the current minute only; the DOM is replaced
+  // when it changes.
+  function renderLanes() {
+    const el = document.getElementById('vt-lanes');
+    if (!el || layoutMode !== 'lanes') return;
+
+    const n = now();
+    n.setSeconds(0, 0);
+    const from = n.getTime() - 3600000;
+    const span = settings.laneHours * 3600000;
+    const to = from + span;
+    const pct = timeScale(from, span);
+
+    // Lanes for every known taxi, blocks for the filtered bookings in range
+    const lanes = new Map();
+    const lane = taxi => lanes.get(taxi) || lanes.set(taxi, { taxi, trips: [] }).get(taxi);
+    for (const b of bookings) if (b.taxi) lane(b.taxi);
+    for (const b of displayedBookings) {
+      if (b.ghost) continue;
+      const start = (b.utrop || b.oppmote);
+      const end = (b.oppmote || b.utrop);
+      if (!start || end.getTime() < from || start.getTime() > to) continue;
+      lane(b.taxi || '').trips.push(b);
+    }
+
+    const groups = {};
+    for (const l of lanes.values()) {
+      const key = l.taxi ? loyvePrefix(l.taxi) : '';
+      (groups[key] || (groups[key] = [])).push(l);
+    }
+
+    let html = '<div class="vt-lane-axis"><span class="vt-lane-label"></span><div class="vt-lane-track">';
+    for (let h = Math.ceil(from / 3600000) * 3600000; h <= to; h += 3600000) {
+      html += '<span class="vt-lane-hour" style="left:' + pct(h) + '">' + formatTime24(new Date(h)) + '</span>';
+    }
+    html += '</div></div>';
+
+    for (const key of Object.keys(groups).sort()) {
+      const color = key ? taxiColor(groups[key][0].taxi) : '';
+      html += '<div class="vt-lane-group"' + (color ? ' style="--vt-lane-color:' + color + '"' : '') + '>';
+      html += '<div class="vt-lane-group-title">' + (key ? 'L\u00f8yve ' + esc(key) : 'Unassigned') + '</div>';
+      const groupLanes = groups[key].sort((a, b) => a.taxi.localeCompare(b.taxi, 'nb', { numeric: true }));
+      for (const l of groupLanes) {
+        const idle = l.trips.length === 0;
+        html += '<div class="vt-lane' + (idle ? ' vt-lane--idle' : '') + '">' +
+          '<span class="vt-lane-label">' + (l.taxi ? esc(l.taxi) : '\u2014') +
+            '<span class="vt-lane-load">' + (idle ? 'idle' : l.trips.length + ' trip' + (l.trips.length > 1 ? 's' : '')) + '</span>' +
+          '</span>' +
+          '<div class="vt-lane-track">' +
+            '<span class="vt-lane-now" style="left:' + pct(n.getTime()) + '"></span>';
+        for (const b of l.trips) {
+          const start = (b.utrop || b.oppmote).getTime();
+          const end = Math.max((b.oppmote || b.utrop).getTime(), start);
+          const width = Math.max((Math.min(end, to) - Math.max(start, from)) / span * 100, 0.6);
+          const label = formatTime24(b.utrop) + ' ' + capabilityIcons(b) + (b.fra || '');
+          html += '<span class="vt-lane-block ' + rowClass(b) + (taxiConflicts[b.id] ? ' vt-lane-block--conflict' : '') +
+            (expandedRowId === b.id ? ' vt-lane-block--open' : '') + '" data-open-id="' + escAttr(b.id) + '"' +
+            ' style="' + rowRuleStyle(b) + 'left:' + pct(start) + ';width:' + width.toFixed(2) + '%"' +
+            ' title="' + escAttr(formatTime24(b.utrop) + '\u2192' + formatTime24(b.oppmote) + ' ' +
+              (b.fra || '\u2014') + ' \u2192 ' + (b.til || '\u2014') + ' \u00b7 ' + (b.status || '')) + '">' +
+            esc(label) + '</span>';
         }
-      }, UNDER_SENDING_CHIME_MS);
-    } else if (!hasSending && underSendingInterval) {
-      clearInterval(underSendingInterval);
-      underSendingInterval = null;
+        html += '</div></div>';
+      }
+      html += '</div>';
     }
+
+    const open = expandedRowId && displayedBookings.find(b => b.id === expandedRowId);
+    if (open) html += '<div class="vt-lane-detail">' + buildDetail(open) + '</div>';
+
+    if (html === lastLanesHtml || editingNoteIn(el)) return;
+    lastLanesHtml = html;
+    el.innerHTML = html;
   }
 
   // ----------------------------------------------------------
-  //  Badge update via messaging to service worker
+  //  Timeline (layout mode 'timeline')
   // ----------------------------------------------------------
-  function updateBadge() {
-    try {
-      const sending = bookings.filter(b => b.status === 'UNDER SENDING').length;
-      const upcoming = bookings.filter(b => isUpcoming(b.utrop)).length;
-      chrome.runtime.sendMessage({
+  // One row per booking in the zoom window, a bar from UTROP to OPPMOTE in
+  // its card's status colours. ALTTURID groups sit on adjacent rows joined
+  // by a bracket. The axis is rebuilt each minute; the now-line is moved
+  // every second by moveTimelineNowLine().
+  function timelineRange() {
+    const n = now();
+    n.setSeconds(0, 0);
+    const span = timelineZoomHours * 3600000;
+    return { from: n.getTime() - span / 2, span };
+  }
+
+  function renderTimeline() {
+    const el = document.getElementById('vt-timeline');
+    if (!el || layoutMode !== 'timeline') return;
+
+    const { from, span } = timelineRange();
+    const to = from + span;
+    const pct = timeScale(from, span);
+
+    // Bookings in range in time order, each ALTTURID group pulled up to
+    // its first member
+    const inRange = displayedBookings.filter(b => {
+      const start = b.utrop || b.oppmote;
+      const end = b.oppmote || b.utrop;
+      return start && end.getTime() >= from && start.getTime() <= to;
+    }).sort((a, b) => (a.utrop || a.oppmote) - (b.utrop || b.oppmote));
+    const rows = [];
+    const placed = new Set();
+    for (const b of inRange) {
+      if (placed.has(b.id)) continue;
+      const members = b.altturid ? inRange.filter(m => m.altturid === b.altturid) : [b];
+      members.forEach((m, i) => {
+        placed.add(m.id);
+        rows.push({ b: m, group: members.length > 1, first: i === 0, last: i === members.length - 1 });
+      });
+    }
+
+    let html = '<div class="vt-tl-head">' +
+      '<span class="vt-tl-zoom">' + TIMELINE_ZOOM_HOURS.map(h =>
+        '<button class="vt-filter-btn' + (h === timelineZoomHours ? ' active' : '') + '" data-zoom="' + h + '">' + h + 'h</button>'
+      ).join('') + '</span>' +
+      '<span class="vt-tl-count">' + rows.length + ' in view</span>' +
+    '</div>';
+
+    const open = expandedRowId && displayedBookings.find(b => b.id === expandedRowId);
+    if (open) html += '<div class="vt-tl-detail">' + buildDetail(open) + '</div>';
+
+    const tickMs = TIMELINE_TICK_MINUTES[timelineZoomHours] * 60000;
+    html += '<div class="vt-tl-axis"><span class="vt-tl-label"></span><div class="vt-tl-track">';
+    for (let t = Math.ceil(from / tickMs) * tickMs; t <= to; t += tickMs) {
+      const d = new Date(t);
+      const midnight = d.getHours() === 0 && d.getMinutes() === 0;
+      html += '<span class="vt-tl-tick' + (midnight ? ' vt-tl-tick--day' : '') + '" style="left:' + pct(t) + '">' +
+        (midnight ? esc(WEEKDAYS_NO[d.getDay()]) + ' ' : '') + formatTime24(d) + '</span>';
+    }
+    html += '</div></div><div class="vt-tl-rows">';
+
+    for (const r of rows) {
+      const b = r.b;
+      const start = (b.utrop || b.oppmote).getTime();
+      const end = Math.max((b.oppmote || b.utrop).getTime(), start);
+      const width = Math.max((Math.min(end, to) - Math.max(start, from)) / span * 100, 0.4);
+      const tColor = taxiColor(b.taxi);
+      let cls = 'vt-tl-row';
+      if (r.group) cls += ' vt-tl-group' + (r.first ? ' vt-tl-group-start' : '') + (r.last ? ' vt-tl-group-end' : '');
+      html += '<div class="' + cls + '">' +
+        '<span class="vt-tl-label">' + formatTime24(b.utrop) +
+          ' <span class="vt-tl-taxi"' + (tColor ? ' style="color:' + tColor + '"' : '') + '>' + esc(b.taxi || '\u2014') + '</span></span>' +
+        '<div class="vt-tl-track">' +
+          '<span class="vt-tl-bar ' + rowClass(b) + (expandedRowId === b.id ? ' vt-tl-bar--open' : '') + '"' +
+            ' data-open-id="' + escAttr(b.id) + '" style="' + rowRuleStyle(b) + 'left:' + pct(start) + ';width:' + width.toFixed(2) + '%"' +
+            ' title="' + escAttr(formatTime24(b.utrop) + '\u2192' + formatTime24(b.oppmote) + ' ' +
+              (b.fra || '\u2014') + ' \u2192 ' + (b.til || '\u2014') + ' \u00b7 ' + (b.ghost ? 'Fjernet' : b.status || '')) + '">' +
+            esc(capabilityIcons(b) + (b.fra || '') + ' \u2192 ' + (b.til || '')) +
+          '</span>' +
+        '</div>' +
+      '</div>';
+    }
+    html += '<span class="vt-tl-now"></span></div>';
+
+    if (html !== lastTimelineHtml && !editingNoteIn(el)) {
+      lastTimelineHtml = html;
+      el.innerHTML = html;
+    }
+    moveTimelineNowLine();
+  }
+
+  function moveTimelineNowLine() {
+    if (layoutMode !== 'timeline') return;
+    const line = document.querySelector('#vt-timeline .vt-tl-now');
+    if (!line) return;
+    const { from, span } = timelineRange();
+    const frac = (now().getTime() - from) / span;
+    // Position within the track column (label column is --vt-tl-label wide)
+    line.style.left = 'calc(var(--vt-tl-label) + (100% - var(--vt-tl-label)) * ' + frac.toFixed(5) + ')';
+  }
+
+  // ----------------------------------------------------------
+  //  Clock
+  // ----------------------------------------------------------
+  function updateClock() {
+    const n = now();
+    const clockEl = document.getElementById('vt-clock');
+    if (clockEl) {
+      clockEl.textContent = pad(n.getHours()) + ':' + pad(n.getMinutes()) + ':' + pad(n.getSeconds());
+    }
+    const dateEl = document.getElementById('vt-date');
+    if (dateEl) {
+      dateEl.textContent = formatDate(n);
+    }
+    // Update "last updated" periodically
+    const upd = document.getElementById('vt-last-update');
+    if (upd && lastParseTime) {
+      upd.textContent = 'Updated ' + timeSince(lastParseTime);
+    }
+  }
+
+  // ----------------------------------------------------------
+  //  Audio triggers
+  // ----------------------------------------------------------
+  function checkUtropChimes() {
+    const cb = currentBucket();
+    for (const b of bookings) {
+      if (!b.utrop) continue;
+      const bb = utropBucket(b.utrop);
+      if (bb === cb && !chimePlayed.has(b.id)) {
+        chimePlayed.add(b.id);
+        saveSessionState();
+        playUtropChime();
+        notify('utrop', b);
+        break;
+      }
+    }
+  }
+
+  // Once when a booking turns overdue, then every overdueAlarmRepeatMinutes
+  // while it stays that way (0 = once)
+  function checkOverdueAlarm() {
+    if (bookings.length === 0) return; // nothing parsed (yet)
+    const ts = nowMs();
+    const repeatMs = settings.overdueAlarmRepeatMinutes * 60000;
+    let due = false;
+    const overdueIds = new Set();
+    for (const b of bookings) {
+      if (!isOverdue(b)) continue;
+      overdueIds.add(b.id);
+      const last = overdueAlerted[b.id];
+      if (last === undefined || (repeatMs > 0 && ts - last >= repeatMs)) {
+        overdueAlerted[b.id] = ts;
+        due = true;
+      }
+    }
+    let changed = due;
+    for (const id of Object.keys(overdueAlerted)) {
+      if (overdueIds.has(id)) continue;
+      delete overdueAlerted[id];
+      changed = true;
+    }
+    if (changed) saveSessionState();
+    if (due && settings.overdueAlarm) playOverdueAlarm();
+  }
+
+  function hasUnackedSending() {
+    return bookings.some(b => b.status === 'UNDER SENDING' && !isAcked(b.id));
+  }
+
+  // Highest escalation tier among unacknowledged UNDER SENDING bookings
+  function chimeTier() {
+    let tier = 0;
+    for (const b of bookings) {
+      if (b.status === 'UNDER SENDING' && !isAcked(b.id)) tier = Math.max(tier, escalationTier(b));
+    }
+    return tier;
+  }
+
+  // Chime at once when the first booking starts waiting or one escalates,
+  // then every underSendingChimeMs
+  function checkUnderSendingChime() {
+    const hasSending = hasUnackedSending();
+    const tier = hasSending ? chimeTier() : 0;
+    if (hasSending && (!underSendingInterval || tier > lastChimeTier)) {
+      lastChimeTier = tier;
+      playUnderSendingChime(tier);
+      startUnderSendingTimer();
+    } else if (!hasSending && underSendingInterval) {
+      clearInterval(underSendingInterval);
+      underSendingInterval = null;
+    } else {
+      // An escalated booking was acknowledged or answered
+      lastChimeTier = Math.min(lastChimeTier, tier);
+    }
+  }
+
+  function startUnderSendingTimer() {
+    clearInterval(underSendingInterval);
+    underSendingInterval = setInterval(() => {
+      if (hasUnackedSending()) {
+        lastChimeTier = chimeTier();
+        playUnderSendingChime(lastChimeTier);
+      } else {
+        clearInterval(underSendingInterval);
+        underSendingInterval = null;
+      }
+    }, settings.underSendingChimeMs);
+  }
+
+  // ----------------------------------------------------------
+  //  Acknowledgements (silence one booking's UNDER SENDING chime)
+  // ----------------------------------------------------------
+  function isAcked(id) {
+    const ack = acks[id];
+    return !!ack && nowMs() - ack.at < settings.ackRealertMinutes * 60000;
+  }
+
+  function acknowledge(id) {
+    const b = bookings.find(x => x.id === id);
+    if (!b || b.status !== 'UNDER SENDING' || isAcked(id)) return;
+    acks[id] = { by: settings.dispatcherName, at: nowMs() };
+    saveAcks();
+    checkUnderSendingChime();
+    renderTable();
+  }
+
+  // 'A': the open card if it is waiting, else the earliest unacknowledged one
+  function acknowledgeNext() {
+    const open = bookings.find(b => b.id === expandedRowId);
+    if (open && open.status === 'UNDER SENDING' && !isAcked(open.id)) {
+      acknowledge(open.id);
+      return;
+    }
+    const waiting = bookings
+      .filter(b => b.status === 'UNDER SENDING' && !isAcked(b.id))
+      .sort((a, b) => (a.utrop || 0) - (b.utrop || 0));
+    if (waiting.length > 0) acknowledge(waiting[0].id);
+  }
+
+  // Drop acknowledgements that ran out (the booking re-alerts if it is still
+  // waiting) or whose booking left UNDER SENDING. Returns whether any went.
+  function pruneAcks() {
+    let pruned = false;
+    for (const id of Object.keys(acks)) {
+      const b = bookings.find(x => x.id === id);
+      if (isAcked(id) && (!b || b.status === 'UNDER SENDING')) continue;
+      delete acks[id];
+      pruned = true;
+    }
+    if (pruned) {
+      saveAcks();
+      checkUnderSendingChime();
+    }
+    return pruned;
+  }
+
+  // Kept in chrome.storage.local so they survive reloads and are shared
+  // between the tab and the wallboard window
+  function saveAcks() {
+    if (isReplay) return; // acks on a replay must not reach the live boards
+    try {
+      chrome.storage.local.set({ [ACKS_KEY]: acks });
+    } catch (_) { /* extension context may be invalidated */ }
+  }
+
+  function loadAcks() {
+    chrome.storage.local.get(ACKS_KEY, (r) => {
+      acks = (r && r[ACKS_KEY]) || {};
+      checkUnderSendingChime();
+      renderTable();
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[ACKS_KEY]) return;
+      acks = changes[ACKS_KEY].newValue || {};
+      checkUnderSendingChime();
+      renderTable();
+    });
+  }
+
+  // ----------------------------------------------------------
+  //  Pins and notes (local to this computer, keyed by bookingId())
+  // ----------------------------------------------------------
+  function isPinned(id) {
+    return !!(notes[id] && notes[id].pinned);
+  }
+
+  function noteText(id) {
+    return notes[id] ? notes[id].text : '';
+  }
+
+  function noteBooking(id) {
+    return bookings.find(x => x.id === id) || (ghosts[id] && ghosts[id].booking);
+  }
+
+  // The trip's time is kept with the entry so it can be pruned once the
+  // trip has left the time window, even after it is no longer parsed
+  function tripTime(b) {
+    const t = b && (b.oppmote || b.utrop);
+    return t ? t.getTime() : null;
+  }
+
+  function updateNote(id, change) {
+    const entry = { pinned: false, text: '', by: '', at: 0, when: null, ...notes[id], ...change };
+    entry.when = tripTime(noteBooking(id)) || entry.when || nowMs();
+    if (!entry.pinned && !entry.text) delete notes[id];
+    else notes[id] = entry;
+    saveNotes();
+    renderTable();
+  }
+
+  function togglePin(id) {
+    updateNote(id, { pinned: !isPinned(id) });
+  }
+
+  function setNote(id, text) {
+    text = text.trim();
+    if (text === noteText(id)) return;
+    updateNote(id, { text, by: text ? settings.dispatcherName : '', at: text ? nowMs() : 0 });
+  }
+
+  // Open the booking's drawer with its note box focused
+  function editNote(id) {
+    openBooking(id);
+    const box = document.querySelector('.vt-note-input[data-note-id="' + CSS.escape(id) + '"]');
+    if (box) box.focus();
+  }
+
+  // Save / Clear buttons in a detail drawer (card, lane or timeline view)
+  function handleNoteAction(e) {
+    const action = e.target.closest('[data-action="note-save"], [data-action="note-clear"]');
+    if (!action) return false;
+    const box = action.closest('.vt-detail').querySelector('.vt-note-input');
+    const id = box.getAttribute('data-note-id');
+    setNote(id, action.getAttribute('data-action') === 'note-save' ? box.value : '');
+    return true;
+  }
+
+  // True while a note is being typed inside el, which must not be re-rendered
+  function editingNoteIn(el) {
+    const active = document.activeElement;
+    return !!active && active.classList.contains('vt-note-input') && el.contains(active);
+  }
+
+  // Entries go once their trip has left the time window. Returns whether any did.
+  function pruneNotes() {
+    const cutoff = nowMs() - settings.timeWindowHours * 3600000;
+    let pruned = false;
+    for (const [id, entry] of Object.entries(notes)) {
+      const when = tripTime(noteBooking(id));
+      if (when && when !== entry.when) {
+        entry.when = when; // rescheduled; stored with the next save
+      }
+      if (entry.when >= cutoff) continue;
+      delete notes[id];
+      pruned = true;
+    }
+    if (pruned) saveNotes();
+    return pruned;
+  }
+
+  function saveNotes() {
+    if (isReplay) return; // notes on a replay must not reach the live boards
+    try {
+      chrome.storage.local.set({ [NOTES_KEY]: notes });
+    } catch (_) { /* extension context may be invalidated */ }
+  }
+
+  // Shared between the tab and the wallboard window like acknowledgements
+  function loadNotes() {
+    chrome.storage.local.get(NOTES_KEY, (r) => {
+      notes = (r && r[NOTES_KEY]) || {};
+      renderTable();
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[NOTES_KEY]) return;
+      notes = changes[NOTES_KEY].newValue || {};
+      renderTable();
+    });
+  }
+
+  // ----------------------------------------------------------
+  //  Desktop notifications (raised by the service worker)
+  // ----------------------------------------------------------
+  const NOTIFY_SETTINGS = {
+    underSending: 'notifyUnderSending',
+    utrop: 'notifyUtrop',
+    cancelled: 'notifyCancelled',
+  };
+
+  // Only while the dispatcher can't see the tab: another tab, another app,
+  // or the window is minimised. The wallboard window leaves it to the tab.
+  function notify(event, b) {
+    if (isWallboardWindow || !settings[NOTIFY_SETTINGS[event]]) return;
+    if (!document.hidden && document.hasFocus()) return;
+    try {
+      chrome.runtime.sendMessage({
+        type: 'vtNotify',
+        event,
+        booking: {
+          id: b.id,
+          taxi: b.taxi,
+          status: b.status,
+          utrop: formatTime24(b.utrop),
+          oppmote: formatTime24(b.oppmote),
+          fra: b.fra,
+          til: b.til,
+        },
+      });
+    } catch (_) { /* extension context may be invalidated */ }
+  }
+
+  // ----------------------------------------------------------
+  //  Badge update via messaging to service worker
+  // ----------------------------------------------------------
+  function updateBadge() {
+    if (isWallboardWindow) return; // the feeding tab owns the badge
+    try {
+      const sending = bookings.filter(b => b.status === 'UNDER SENDING').length;
+      const upcoming = bookings.filter(b => isUpcoming(b.utrop)).length;
+      chrome.runtime.sendMessage({
         type: 'vtBadgeUpdate',
         sendingCount: sending,
         upcomingCount: upcoming,
@@ -1251,18 +3266,18 @@
   //  Auto-scroll
   // ----------------------------------------------------------
   function checkAutoScroll() {
-    if (Date.now() - lastScrollTime < SCROLL_IDLE_MS) return;
+    if (Date.now() - lastScrollTime < settings.scrollIdleMs) return;
 
     const ind = document.getElementById('vt-scroll-indicator');
     if (ind) ind.classList.remove('visible');
 
-    // Find first card whose booking is NOT "KLAR FOR FAKTURERING"
+    // Find first card that isn't dimmed by its status rule
     const cards = document.querySelectorAll('#vt-cards .vt-card');
     let target = null;
     for (const card of cards) {
       const id = card.getAttribute('data-id');
       const booking = bookings.find(b => b.id === id);
-      if (booking && booking.status !== 'KLAR FOR FAKTURERING') {
+      if (booking && rowClass(booking) !== 'vt-row--completed') {
         target = card;
         break;
       }
@@ -1272,19 +3287,671 @@
     }
   }
 
+  // ----------------------------------------------------------
+  //  Sub-frame data (relayed by the service worker)
+  // ----------------------------------------------------------
+  function receiveSubFrameData(msg) {
+    subFrames[msg.frameId] = {
+      bookings: (msg.bookings || []).map(b => ({
+        ...rehydrateBooking(b),
+        source: 'frame #' + msg.frameId,
+      })),
+      tableFound: !!msg.tableFound,
+      schema: msg.schema || null,
+      url: msg.frameUrl,
+      receivedAt: Date.now(),
+    };
+    debouncedUpdate();
+  }
+
+  // Rows parsed from our own documents first, then anything sub-frames
+  // reported, de-duplicated by bookingId(). Frames that stopped reporting
+  // (navigated away or reloaded) are dropped after three poll intervals.
+  function collectBookings() {
+    if (isReplay) return replayBookings();
+    if (isWallboardWindow) return feedBookings();
+
+    const merged = parseTable();
+    const seen = new Set(merged.map(bookingId));
+    const staleBefore = Date.now() - settings.pollIntervalMs * 3;
+
+    for (const [frameId, frame] of Object.entries(subFrames)) {
+      if (frame.receivedAt < staleBefore) {
+        delete subFrames[frameId];
+        continue;
+      }
+      if (frame.tableFound) tableFound = true;
+      if (!schema && frame.schema) schema = frame.schema;
+      for (const b of frame.bookings) {
+        const id = bookingId(b);
+        if (seen.has(id)) continue;
+        seen.add(id);
+        merged.push(b);
+      }
+    }
+    return merged;
+  }
+
+  // ----------------------------------------------------------
+  //  Session persistence (survives TripViewCentral reloads)
+  // ----------------------------------------------------------
+
+  function sessionStateKey() {
+    return isWallboardWindow ? WINDOW_SESSION_STATE_KEY : SESSION_STATE_KEY;
+  }
+
+  // Debounced: called from every render and chime
+  function saveSessionState() {
+    if (isReplay) return; // replays start from scratch every time
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(() => {
+      const ids = new Set(previousSnapshot.keys());
+      const state = {
+        savedAt: Date.now(),
+        chimePlayed: [...chimePlayed].filter(id => ids.has(id)),
+        overdueAlerted,
+        schemaDismissed,
+        previousBookingIds: [...previousBookingIds],
+        snapshot: [...previousSnapshot.values()].map(serializeBooking),
+        ghosts: Object.entries(ghosts).map(([id, g]) =>
+          ({ id, removedAt: g.removedAt, booking: serializeBooking(g.booking) })),
+        fieldChanges,
+        expandedRowId,
+        searchQuery,
+        activeFilter,
+      };
+      try {
+        chrome.storage.session.set({ [sessionStateKey()]: state });
+      } catch (_) { /* extension context may be invalidated */ }
+    }, 500);
+  }
+
+  // Read status history and runtime state, then continue with the callback.
+  // The booking snapshot is only trusted if it is recent: after a long gap
+  // every difference would be reported as a change or a cancellation.
+  function restoreSession(callback) {
+    if (isReplay) {
+      callback();
+      return;
+    }
+    try {
+      chrome.storage.session.get([STATUS_HISTORY_KEY, sessionStateKey()], (r) => {
+        if (!chrome.runtime.lastError && r) {
+          if (r[STATUS_HISTORY_KEY]) {
+            // Restored entries count as seen now, so they last one more window
+            statusHistory = r[STATUS_HISTORY_KEY];
+            for (const id of Object.keys(statusHistory)) historySeen[id] = nowMs();
+          }
+          if (r[sessionStateKey()]) applySessionState(r[sessionStateKey()]);
+        }
+        callback();
+      });
+    } catch (_) {
+      callback();
+    }
+  }
+
+  function applySessionState(state) {
+    expandedRowId = state.expandedRowId || null;
+    searchQuery = state.searchQuery || '';
+    activeFilter = state.activeFilter || 'all';
+    chimePlayed = new Set(state.chimePlayed || []);
+    overdueAlerted = state.overdueAlerted || {};
+    schemaDismissed = state.schemaDismissed || '';
+    sessionRestored = true;
+
+    const search = document.getElementById('vt-search');
+    if (search) search.value = searchQuery;
+    compileSearch();
+    renderSavedQueries();
+    document.querySelectorAll('#vt-filter-bar .vt-filter-btn').forEach(b => {
+      b.classList.toggle('active', b.dataset.filter === activeFilter);
+    });
+
+    if (Date.now() - state.savedAt > SESSION_SNAPSHOT_MAX_AGE_MS) return;
+    previousBookingIds = new Set(state.previousBookingIds || []);
+    previousSnapshot = new Map((state.snapshot || []).map(b => [b.id, rehydrateBooking(b)]));
+    bookings = [...previousSnapshot.values()];
+    ghosts = {};
+    for (const g of state.ghosts || []) {
+      ghosts[g.id] = { booking: rehydrateBooking(g.booking), removedAt: g.removedAt };
+    }
+    fieldChanges = state.fieldChanges || {};
+  }
+
+  // ----------------------------------------------------------
+  //  Status history (persisted in chrome.storage.session)
+  // ----------------------------------------------------------
+  // Append an entry for every booking whose status differs from the last
+  // one recorded. Bookings gone for longer than the time window are pruned.
+  function recordStatusHistory() {
+    const ts = nowMs();
+    let changed = false;
+
+    for (const b of bookings) {
+      const hist = statusHistory[b.id] || (statusHistory[b.id] = []);
+      const last = hist[hist.length - 1];
+      if (!last || last.status !== b.status) {
+        hist.push({ status: b.status, at: ts });
+        changed = true;
+      }
+      historySeen[b.id] = ts;
+    }
+
+    // Pruned by when the booking was last in the table, not by its last
+    // transition: a trip may sit in one status for longer than the window
+    const pruneBefore = ts - settings.timeWindowHours * 3600000;
+    for (const id of Object.keys(statusHistory)) {
+      if (!(historySeen[id] >= pruneBefore)) {
+        delete statusHistory[id];
+        delete historySeen[id];
+        changed = true;
+      }
+    }
+
+    // The tab keeps recording while a window is open, so only it persists
+    if (changed && !isWallboardWindow) {
+      try {
+        chrome.storage.session.set({ [STATUS_HISTORY_KEY]: statusHistory });
+      } catch (_) { /* extension context may be invalidated */ }
+    }
+  }
+
+  // ----------------------------------------------------------
+  //  Wallboard window (second monitor / TV)
+  // ----------------------------------------------------------
+
+  // Window side: the service worker forwards the tab's feed over a port,
+  // and replays the latest one when we (re)connect
+  function connectWallboardFeed() {
+    const port = chrome.runtime.connect({ name: 'vtWallboard' });
+    port.onMessage.addListener((msg) => {
+      if (msg.type === 'vtOpenBooking') {
+        openBooking(msg.id);
+        return;
+      }
+      if (msg.type !== 'vtWallboardFeed') return;
+      wallboardFeed = { ...msg, receivedAt: Date.now() };
+      lastParseTime = msg.lastParseTime;
+      update();
+    });
+    // The service worker may be restarted — reconnect
+    port.onDisconnect.addListener(() => {
+      setTimeout(connectWallboardFeed, 1000);
+    });
+  }
+
+  function feedBookings() {
+    if (!wallboardFeed) return [];
+    tableFound = !!wallboardFeed.tableFound;
+    schema = wallboardFeed.schema || null;
+    // A tab that stopped reporting (closed, navigated away) shows as lost
+    if (Date.now() - wallboardFeed.receivedAt > settings.pollIntervalMs * 3) tableFound = false;
+    return tableFound ? wallboardFeed.bookings.map(rehydrateBooking) : [];
+  }
+
+  // Tab side: send the merged bookings while a window is listening
+  function sendWallboardFeed() {
+    try {
+      chrome.runtime.sendMessage({
+        type: 'vtWallboardFeed',
+        bookings: bookings.map(serializeBooking),
+        tableFound,
+        schema,
+        lastParseTime,
+        parseCount,
+      });
+    } catch (_) { /* extension context may be invalidated */ }
+  }
+
+  // Tab side: with a window open, the overlay gives way to a small chip
+  function setChipMode(open) {
+    if (chipMode === open) return;
+    chipMode = open;
+
+    const wb = document.getElementById('vt-wallboard');
+    if (wb) wb.classList.toggle('vt-hidden', open || !overlayVisible);
+    const toggle = document.getElementById('vt-toggle-btn');
+    if (toggle) toggle.style.display = open ? 'none' : '';
+
+    let chip = document.getElementById('vt-status-chip');
+    if (open && !chip) {
+      chip = document.createElement('button');
+      chip.id = 'vt-status-chip';
+      chip.title = 'Wallboard is open in its own window — click to focus it';
+      chip.addEventListener('click', () => {
+        try { chrome.runtime.sendMessage({ type: 'vtOpenWallboard' }); } catch (_) {}
+      });
+      document.body.appendChild(chip);
+    } else if (!open && chip) {
+      chip.remove();
+    }
+
+    if (open) {
+      sendWallboardFeed();
+      renderStatusChip();
+    }
+  }
+
+  function renderStatusChip() {
+    const chip = document.getElementById('vt-status-chip');
+    if (!chip) return;
+    const sending = bookings.filter(b => b.status === 'UNDER SENDING').length;
+    const overdue = bookings.filter(isOverdue).length;
+    const drifted = !!(schema && !schema.ok);
+    chip.classList.toggle('vt-chip--alert', sending > 0 || overdue > 0 || drifted);
+    chip.classList.toggle('vt-chip--lost', !tableFound);
+    chip.textContent = 'VT \u00b7 ' + (tableFound
+      ? (drifted ? 'table changed: missing ' + schema.missing.join(', ') + ' \u00b7 ' : '') +
+        bookings.length + ' bookings' + (sending > 0 ? ' \u00b7 ' + sending + ' under sending' : '') +
+        (overdue > 0 ? ' \u00b7 ' + overdue + ' overdue' : '')
+      : 'searching for table');
+  }
+
+  // ----------------------------------------------------------
+  //  Record & replay
+  // ----------------------------------------------------------
+  // Recording is switched on from the popup. The frame whose own document
+  // holds the table stores a sanitised copy of it, one storage item per
+  // frame, whenever the parsed bookings change; the replay page
+  // (wallboard.html#replay) feeds those copies back through parseTable() on
+  // a simulated clock.
+
+  const SNAPSHOT_DROP = 'script, style, link, input, select, textarea, button, img, iframe, object, embed, svg';
+  const SNAPSHOT_ATTRIBUTES = new Set(['colspan', 'rowspan']);
+  const REPLAY_SPEEDS = [1, 2, 5, 10, 30, 60];
+  const REPLAY_TICK_MS = 250;
+
+  // Table structure and cell text only: no scripts, form state (ASP.NET
+  // view state), links or styling. Passenger names, phones and messages are
+  // masked as in privacy mode, so a recording can be handed on.
+  function sanitizeTableHtml(table) {
+    const clone = table.cloneNode(true);
+    clone.querySelectorAll(SNAPSHOT_DROP).forEach(el => el.remove());
+    for (const el of [clone, ...clone.querySelectorAll('*')]) {
+      for (const attr of [...el.attributes]) {
+        if (!SNAPSHOT_ATTRIBUTES.has(attr.name.toLowerCase())) el.removeAttribute(attr.name);
+      }
+    }
+    const headerRow = findHeaderRow(clone);
+    if (headerRow) {
+      const headerMap = mapHeaders(headerRow);
+      for (const row of getDataRows(clone, headerRow)) {
+        const cells = row.querySelectorAll('td');
+        for (const [key, mask] of Object.entries(PRIVATE_FIELDS)) {
+          const cell = cells[headerMap[key]];
+          const text = cell ? cell.textContent.trim() : '';
+          if (text) cell.textContent = mask(text);
+        }
+      }
+    }
+    return clone.outerHTML;
+  }
+
+  function recordSnapshot() {
+    if (!recordingOn || !recordingOn.active || isWallboardWindow || isReplay || recordStarting) return;
+    // A same-origin iframe's table is recorded by that frame's own script
+    const found = findBookingTable();
+    if (!found || found.doc !== document) return;
+    if (!recordIndex || recordIndex.startedAt !== recordingOn.startedAt) {
+      startRecordIndex();
+      return;
+    }
+    if (recordIndex.error) return;
+    const html = sanitizeTableHtml(found.table);
+    if (html === lastRecordedHtml) return;
+    lastRecordedHtml = html;
+
+    const frame = { at: Date.now(), html };
+    const n = recordIndex.first + recordIndex.sizes.length;
+    recordIndex.sizes.push(new TextEncoder().encode(JSON.stringify(frame)).length);
+    const dropped = [];
+    let bytes = recordIndex.sizes.reduce((a, b) => a + b, 0);
+    while (recordIndex.sizes.length > 1 &&
+      (recordIndex.sizes.length > VT_RECORDING_MAX_FRAMES || bytes > VT_RECORDING_MAX_BYTES)) {
+      bytes -= recordIndex.sizes.shift();
+      dropped.push(VT_RECORDING_FRAME_PREFIX + recordIndex.first);
+      recordIndex.first++;
+    }
+    try {
+      if (dropped.length > 0) chrome.storage.local.remove(dropped);
+      chrome.storage.local.set({ [VT_RECORDING_FRAME_PREFIX + n]: frame, [VT_RECORDING_INDEX_KEY]: recordIndex }, () => {
+        if (!chrome.runtime.lastError) return;
+        // Typically the storage quota: stop here and tell the popup
+        recordIndex.sizes.pop();
+        recordIndex.error = chrome.runtime.lastError.message || 'Could not store the snapshot';
+        chrome.storage.local.set({ [VT_RECORDING_INDEX_KEY]: recordIndex });
+      });
+    } catch (_) { /* extension context may be invalidated */ }
+  }
+
+  // First snapshot of a recording: carry on after a reload, otherwise clear
+  // the previous recording's frames and start a new index
+  function startRecordIndex() {
+    const startedAt = recordingOn.startedAt;
+    recordStarting = true;
+    chrome.storage.local.get(VT_RECORDING_INDEX_KEY, (r) => {
+      const stored = r && r[VT_RECORDING_INDEX_KEY];
+      const resume = stored && stored.startedAt === startedAt && Array.isArray(stored.sizes);
+      const done = () => {
+        recordStarting = false;
+        lastRecordedHtml = '';
+        recordSnapshot();
+      };
+      if (resume) {
+        recordIndex = stored;
+        done();
+        return;
+      }
+      const old = stored && Array.isArray(stored.sizes)
+        ? stored.sizes.map((_, i) => VT_RECORDING_FRAME_PREFIX + (stored.first + i))
+        : [];
+      recordIndex = { startedAt, first: 0, sizes: [], error: '' };
+      chrome.storage.local.remove(old, () => {
+        chrome.storage.local.set({ [VT_RECORDING_INDEX_KEY]: recordIndex }, done);
+      });
+    });
+  }
+
+  // Follow the popup's start/stop; a fresh start records the current table
+  function loadRecording() {
+    const apply = (rec) => {
+      recordingOn = rec || null;
+      recordSnapshot();
+    };
+    chrome.storage.local.get(VT_RECORDING_KEY, (r) => apply(r && r[VT_RECORDING_KEY]));
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[VT_RECORDING_KEY]) return;
+      apply(changes[VT_RECORDING_KEY].newValue);
+    });
+  }
+
+  // Replay page: bookings come from the current frame
+  function replayBookings() {
+    const frame = replay && replay.frames[replay.index];
+    if (!frame) return parseTable(null);
+    if (!replay.doc) replay.doc = new DOMParser().parseFromString(frame.html, 'text/html');
+    return parseTable(findBookingTableInDoc(replay.doc));
+  }
+
+  function loadReplay(rec) {
+    const frames = (rec && Array.isArray(rec.frames) ? rec.frames : [])
+      .filter(f => f && typeof f.html === 'string' && Number.isFinite(f.at))
+      .sort((a, b) => a.at - b.at);
+    replay = { frames, index: -1, doc: null, playing: false };
+    if (frames.length > 0) {
+      seekReplay(0);
+    } else {
+      replayClock = null;
+      resetReplayState();
+      update();
+      renderReplayBar();
+    }
+  }
+
+  // Jumping around the recording would make every difference look like a
+  // change or a cancellation, so each seek starts the wallboard afresh
+  function resetReplayState() {
+    previousSnapshot = new Map();
+    previousBookingIds = new Set();
+    bookings = [];
+    ghosts = {};
+    fieldChanges = {};
+    statusHistory = {};
+    historySeen = {};
+    chimePlayed = new Set();
+    overdueAlerted = {};
+    acks = {};
+    unknownStatuses.clear();
+    lastChimeTier = 0;
+  }
+
+  function seekReplay(index) {
+    resetReplayState();
+    replayClock = { simAt: replay.frames[index].at, realAt: Date.now(), speed: replay.playing ? replaySpeed : 0 };
+    showReplayFrame(index);
+  }
+
+  function showReplayFrame(index) {
+    replay.index = index;
+    replay.doc = null;
+    update();
+    renderReplayBar();
+  }
+
+  // Re-anchor the simulated clock so a speed change doesn't jump in time
+  function setReplayClock(speed) {
+    replayClock = { simAt: nowMs(), realAt: Date.now(), speed };
+  }
+
+  function playReplay(playing) {
+    if (!replay || replay.frames.length === 0) return;
+    // Playing from the end starts over
+    if (playing && replay.index === replay.frames.length - 1) seekReplay(0);
+    replay.playing = playing;
+    setReplayClock(playing ? replaySpeed : 0);
+    clearInterval(replayTimer);
+    if (playing) replayTimer = setInterval(replayTick, REPLAY_TICK_MS);
+    renderReplayBar();
+  }
+
+  // Step through every frame the simulated clock has passed, one at a time
+  // so each change still highlights and chimes; stop at the last one
+  function replayTick() {
+    const t = nowMs();
+    while (replay.index + 1 < replay.frames.length && replay.frames[replay.index + 1].at <= t) {
+      showReplayFrame(replay.index + 1);
+    }
+    if (replay.index === replay.frames.length - 1) playReplay(false);
+  }
+
+  function renderReplayBar() {
+    const bar = document.getElementById('vt-replay-bar');
+    if (!bar) return;
+    const total = replay ? replay.frames.length : 0;
+    const frame = total > 0 ? replay.frames[replay.index] : null;
+    const pos = bar.querySelector('#vt-replay-pos');
+    pos.max = Math.max(0, total - 1);
+    pos.value = total > 0 ? replay.index : 0;
+    pos.disabled = total === 0;
+    const play = bar.querySelector('[data-replay="play"]');
+    play.textContent = replay && replay.playing ? '\u23f8' : '\u25b6';
+    play.disabled = total === 0;
+    bar.querySelector('#vt-replay-info').textContent = frame
+      ? 'Frame ' + (replay.index + 1) + ' / ' + total + ' \u00b7 recorded ' + formatFullTime24(new Date(frame.at))
+      : replay ? 'This recording has no frames' : 'No recording loaded';
+  }
+
+  function initReplay() {
+    document.title += ' \u2014 Replay';
+    createOverlay();
+    document.addEventListener('pointerdown', ensureAudioCtx, { once: true });
+
+    const bar = document.getElementById('vt-replay-bar');
+    bar.innerHTML =
+      '<label class="vt-filter-btn">Open recording\u2026' +
+        '<input type="file" id="vt-replay-file" accept=".json,application/json" hidden /></label>' +
+      '<button class="vt-filter-btn" data-replay="last" title="The recording stored by this browser">Last recording</button>' +
+      '<button class="vt-toolbar-btn" data-replay="play" title="Play / pause">\u25b6</button>' +
+      '<select id="vt-replay-speed" title="Replay speed">' +
+        REPLAY_SPEEDS.map(x => '<option value="' + x + '">' + x + '\u00d7</option>').join('') +
+      '</select>' +
+      '<input type="range" id="vt-replay-pos" min="0" max="0" value="0" title="Seek" />' +
+      '<span id="vt-replay-info"></span>';
+
+    bar.querySelector('#vt-replay-file').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      file.text().then((text) => {
+        let rec = null;
+        try { rec = JSON.parse(text); } catch (_) { /* shown as empty below */ }
+        playReplay(false);
+        loadReplay(rec);
+      });
+      e.target.value = '';
+    });
+    bar.querySelector('[data-replay="last"]').addEventListener('click', () => {
+      vtLoadRecording((rec) => {
+        playReplay(false);
+        loadReplay(rec);
+      });
+    });
+    bar.querySelector('[data-replay="play"]').addEventListener('click', () => {
+      playReplay(!(replay && replay.playing));
+    });
+    bar.querySelector('#vt-replay-speed').addEventListener('change', (e) => {
+      replaySpeed = Number(e.target.value);
+      if (replay && replay.playing) setReplayClock(replaySpeed);
+    });
+    bar.querySelector('#vt-replay-pos').addEventListener('input', (e) => {
+      if (replay && replay.frames.length > 0) seekReplay(Number(e.target.value));
+    });
+
+    renderReplayBar();
+    loadSavedQueries();
+    loadViews();
+    renderTable();
+    update();
+    setInterval(updateClock, 1000);
+    setInterval(updateLiveCounters, 1000);
+    setInterval(checkAutoScroll, 5000);
+  }
+
+  // ----------------------------------------------------------
+  //  Field-level diffing
+  // ----------------------------------------------------------
+
+  // Compare every parsed booking against the previous snapshot and record
+  // changed fields in fieldChanges and vanished rows in ghosts. Returns
+  // whether anything changed at all (added, removed or edited bookings),
+  // whether a critical field did, the bookings that became ghosts, the ones
+  // that just entered UNDER SENDING and the ones whose status changed.
+  function diffBookings(newList) {
+    const ts = nowMs();
+    const next = new Map();
+    const hadSnapshot = previousSnapshot.size > 0;
+    let changed = newList.length !== previousSnapshot.size;
+    let critical = false;
+    const removed = [];
+    const enteredSending = [];
+    const enteredStatus = [];
+
+    for (const b of newList) {
+      next.set(b.id, b);
+      delete ghosts[b.id]; // came back
+      const old = previousSnapshot.get(b.id);
+      if (b.status === 'UNDER SENDING' && hadSnapshot && (!old || old.status !== 'UNDER SENDING')) {
+        enteredSending.push(b);
+      }
+      // A row that first appears already in a status has entered it too;
+      // the first parse only sets the baseline, like enteredSending
+      if (hadSnapshot && (!old || old.status !== b.status)) enteredStatus.push(b);
+      if (!old) {
+        changed = true;
+        continue;
+      }
+      for (const f of DIFF_FIELDS) {
+        const from = old[f.key] || '';
+        const to = b[f.key] || '';
+        if (from === to) continue;
+        changed = true;
+        if (f.critical) critical = true;
+
+        const changes = fieldChanges[b.id] || (fieldChanges[b.id] = {});
+        // Keep the original value across consecutive edits
+        const origin = changes[f.key] ? changes[f.key].from : from;
+        if (origin === to) {
+          delete changes[f.key];
+        } else {
+          changes[f.key] = { from: origin, to, at: ts };
+        }
+      }
+    }
+
+    // Rows that vanished while unfinished (cancelled or deleted) become
+    // ghosts. An empty parse is more likely a postback in progress than a
+    // mass cancellation, and rows leaving the time window are expected.
+    if (tableFound && newList.length > 0) {
+      for (const [id, old] of previousSnapshot) {
+        if (next.has(id) || ghosts[id]) continue;
+        if (isCompletedStatus(old.status)) continue;
+        if (old.oppmote && !isWithinWindow(old.oppmote)) continue;
+        ghosts[id] = { booking: old, removedAt: ts };
+        removed.push(old);
+      }
+    }
+
+    previousSnapshot = next;
+    return { changed, critical, removed, enteredSending, enteredStatus };
+  }
+
+  // Ghost bookings for display: the last parsed copy, flagged
+  function ghostBookings() {
+    return Object.values(ghosts).map(g => ({ ...g.booking, ghost: true, removedAt: g.removedAt }));
+  }
+
+  // Drop ghosts shown longer than the configured time; true if any expired
+  function pruneGhosts() {
+    const cutoff = nowMs() - settings.ghostMinutes * 60000;
+    let pruned = false;
+    for (const [id, g] of Object.entries(ghosts)) {
+      if (g.removedAt < cutoff) {
+        delete ghosts[id];
+        pruned = true;
+      }
+    }
+    return pruned;
+  }
+
+  // Drop highlights older than the configured time; true if any expired
+  function pruneFieldChanges() {
+    const cutoff = nowMs() - settings.changeHighlightMinutes * 60000;
+    let pruned = false;
+    for (const [id, changes] of Object.entries(fieldChanges)) {
+      for (const [key, c] of Object.entries(changes)) {
+        if (c.at < cutoff) {
+          delete changes[key];
+          pruned = true;
+        }
+      }
+      if (Object.keys(changes).length === 0) delete fieldChanges[id];
+    }
+    return pruned;
+  }
+
+  function formatChangeValue(field, value) {
+    if (!value) return '\u2014';
+    return field.time ? formatTime24(parseTimeString(value)) : value;
+  }
+
   // ----------------------------------------------------------
   //  Main update loop
   // ----------------------------------------------------------
   function update() {
-    const newBookings = parseTable();
-    const json = JSON.stringify(newBookings.map(b => b.id + b.status));
+    const newBookings = collectBookings();
+    const diff = diffBookings(newBookings);
 
-    if (json !== previousBookingsJSON) {
+    if (diff.changed) {
       bookings = newBookings;
-      previousBookingsJSON = json;
+      recordStatusHistory();
+      noteUnknownStatuses();
       renderTable();
       checkUnderSendingChime();
       updateBadge();
+      if (diff.critical) playFieldChangeSound();
+      if (diff.removed.length > 0) playRemovedSound();
+      playStatusEntrySounds(diff.enteredStatus);
+      diff.enteredSending.forEach(b => notify('underSending', b));
+      diff.removed.forEach(b => notify('cancelled', b));
+      recordSnapshot();
+    } else {
+      updateStatusIndicator();
+    }
+
+    renderSchemaBanner();
+    if (chipMode) {
+      sendWallboardFeed();
+      renderStatusChip();
     }
 
     checkUtropChimes();
@@ -1294,7 +3961,7 @@
 
   function debouncedUpdate() {
     clearTimeout(mutationTimer);
-    mutationTimer = setTimeout(update, MUTATION_DEBOUNCE_MS);
+    mutationTimer = setTimeout(isSubFrame ? sendSubFrameData : update, settings.mutationDebounceMs);
   }
 
   // ----------------------------------------------------------
@@ -1314,65 +3981,185 @@
   }
 
   // ----------------------------------------------------------
-  //  Initialisation
+  //  Settings (edited on the options page, applied live)
   // ----------------------------------------------------------
-  function init() {
-    // Sub-frames: only notify parent about table data, don't create overlay
+  function startPolling() {
+    clearInterval(pollTimer);
+    pollTimer = setInterval(isSubFrame ? sendSubFrameData : update, settings.pollIntervalMs);
+  }
+
+  function applySettings(values) {
+    const prev = settings;
+    settings = values;
+
+    if (values.pollIntervalMs !== prev.pollIntervalMs) startPolling();
+    if (values.underSendingChimeMs !== prev.underSendingChimeMs && underSendingInterval) {
+      startUnderSendingTimer();
+    }
+
     if (isSubFrame) {
-      initSubFrame();
-      return;
+      sendSubFrameData();
+    } else {
+      // Window size and highlight thresholds change what is shown — force a re-render
+      update();
+      renderTable();
     }
+  }
 
-    createOverlay();
-    update();
+  function watchSettings() {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync') return;
+      if (changes[VT_STATUS_RULES_KEY]) {
+        applyStatusRules(vtValidateStatusRules(changes[VT_STATUS_RULES_KEY].newValue).rules);
+        if (!isSubFrame) renderTable();
+      }
+      if (changes[VT_HEADER_ALIASES_KEY]) {
+        headerAliases = vtValidateHeaderAliases(changes[VT_HEADER_ALIASES_KEY].newValue).aliases;
+        if (isSubFrame) sendSubFrameData();
+        else update();
+      }
+      if (changes[VT_CAPABILITIES_KEY]) {
+        applyCapabilities(vtValidateCapabilities(changes[VT_CAPABILITIES_KEY].newValue).capabilities);
+        if (!isSubFrame) renderTable();
+      }
+      if (changes[VT_SETTINGS_KEY]) {
+        applySettings(vtValidateSettings(changes[VT_SETTINGS_KEY].newValue).values);
+      }
+    });
+  }
 
-    let observerReady = setupObserver();
-    if (!observerReady) {
-      const retryObs = setInterval(() => {
-        observerReady = setupObserver();
-        if (observerReady) {
-          clearInterval(retryObs);
-          update();
-        }
-      }, 2000);
-    }
+  // ----------------------------------------------------------
+  //  Initialisation
+  // ----------------------------------------------------------
+  function init() {
+    vtLoadSettings((values, rules, aliases, caps) => {
+      settings = values;
+      statusRules = rules;
+      headerAliases = aliases;
+      capabilities = caps;
+      watchSettings();
+
+      // Sub-frames: only notify parent about table data, don't create overlay
+      if (isSubFrame) {
+        initSubFrame();
+        return;
+      }
+
+      if (isReplay) {
+        initReplay();
+        return;
+      }
+
+      if (isWallboardWindow) {
+        initWallboardWindow();
+        return;
+      }
+
+      createOverlay();
+      restoreSession(() => {
+        renderTable();
+        update();
+        loadViews();
+      });
+      loadAcks();
+      loadNotes();
+
+      let observerReady = setupObserver();
+      if (!observerReady) {
+        const retryObs = setInterval(() => {
+          observerReady = setupObserver();
+          if (observerReady) {
+            clearInterval(retryObs);
+            update();
+          }
+        }, 2000);
+      }
+      loadRecording();
+      loadSavedQueries();
+
+      startPolling();
+      setInterval(updateClock, 1000);
+      setInterval(updateLiveCounters, 1000);
+      setInterval(checkAutoScroll, 5000);
+      setInterval(updateBadge, BADGE_UPDATE_MS);
 
-    setInterval(update, POLL_INTERVAL_MS);
+      // A wallboard window may already be open
+      try {
+        chrome.runtime.sendMessage({ type: 'vtWallboardQuery' }, (r) => {
+          if (!chrome.runtime.lastError && r && r.open) setChipMode(true);
+        });
+      } catch (_) {}
+    });
+  }
+
+  // Extension-hosted window: same overlay, fed by the tab
+  function initWallboardWindow() {
+    createOverlay();
+    // No toggle button to click here: unlock audio on the first interaction
+    document.addEventListener('pointerdown', ensureAudioCtx, { once: true });
+    restoreSession(() => {
+      renderTable();
+      connectWallboardFeed();
+      loadViews();
+    });
+    loadAcks();
+    loadNotes();
+    loadSavedQueries();
+
+    startPolling();
     setInterval(updateClock, 1000);
+    setInterval(updateLiveCounters, 1000);
     setInterval(checkAutoScroll, 5000);
-    setInterval(updateBadge, BADGE_UPDATE_MS);
   }
 
   // Sub-frame: parse table and send data to parent via messaging
-  function initSubFrame() {
-    function sendToParent() {
-      const data = parseTable();
-      try {
-        chrome.runtime.sendMessage({
-          type: 'vtSubFrameData',
-          bookings: data.map(b => ({
-            ...b,
-            utrop: b.utrop ? b.utrop.toISOString() : null,
-            oppmote: b.oppmote ? b.oppmote.toISOString() : null,
-          })),
-          tableFound: tableFound,
-        });
-      } catch (_) {}
-    }
+  function sendSubFrameData() {
+    const data = parseTable();
+    recordSnapshot();
+    try {
+      chrome.runtime.sendMessage({
+        type: 'vtSubFrameData',
+        bookings: data.map(serializeBooking),
+        tableFound: tableFound,
+        schema,
+      });
+    } catch (_) {}
+  }
 
-    sendToParent();
+  function initSubFrame() {
+    loadRecording();
+    sendSubFrameData();
     setupObserver();
-    setInterval(sendToParent, POLL_INTERVAL_MS);
+    startPolling();
   }
 
   // ----------------------------------------------------------
-  //  Message listener (for popup stats requests)
+  //  Message listener (popup stats, sub-frame data, window state)
   // ----------------------------------------------------------
   chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
-    if (msg.type === 'vtGetStats') {
+    // Only the top frame owns the wallboard; sub-frames just report data.
+    // The wallboard window gets its data over a port instead, but takes
+    // view switches from the popup like the tab does.
+    if (isSubFrame) return;
+    if (msg.type === 'vtApplyView') {
+      applyView(msg.slot);
+      return;
+    }
+    if (isWallboardWindow) return;
+
+    if (msg.type === 'vtWallboardState') {
+      setChipMode(!!msg.open);
+    } else if (msg.type === 'vtOpenBooking') {
+      // From a clicked notification; with a window open, it opens the card there
+      if (chipMode) return;
+      if (!overlayVisible) toggleOverlay();
+      openBooking(msg.id);
+    } else if (msg.type === 'vtSubFrameData') {
+      receiveSubFrameData(msg);
+    } else if (msg.type === 'vtGetStats') {
       const sending = bookings.filter(b => b.status === 'UNDER SENDING').length;
       const upcoming = bookings.filter(b => isUpcoming(b.utrop)).length;
-      const completed = bookings.filter(b => COMPLETED_STATUSES.has(b.status)).length;
+      const completed = bookings.filter(b => isCompletedStatus(b.status)).length;
       sendResponse({
         total: bookings.length,
         sending,
@@ -0,0 +1,341 @@
+// ============================================================
+//  Voss Taxi Wallboard — Options Page
+//  Edits the tuning constants, status rules, header aliases and
+//  capability dictionary defined in settings.js and stores them in
+//  chrome.storage.sync.
+// ============================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  const sectionsEl = document.getElementById('sections');
+  const saveBtn = document.getElementById('save-btn');
+  const resetBtn = document.getElementById('reset-btn');
+  const statusEl = document.getElementById('save-status');
+  const rulesBody = document.getElementById('rules-body');
+  const rulesError = document.getElementById('rules-error');
+  const aliasesBody = document.getElementById('aliases-body');
+  const aliasesError = document.getElementById('aliases-error');
+  const capsBody = document.getElementById('caps-body');
+  const capsError = document.getElementById('caps-error');
+
+  // One block per section, in first-seen order
+  const sectionBodies = {};
+  function sectionBody(name) {
+    if (sectionBodies[name]) return sectionBodies[name];
+    const section = document.createElement('div');
+    section.className = 'section';
+    section.innerHTML = '<div class="section-title"></div><div class="section-body"></div>';
+    section.querySelector('.section-title').textContent = name;
+    sectionsEl.appendChild(section);
+    sectionBodies[name] = section.querySelector('.section-body');
+    return sectionBodies[name];
+  }
+
+  // Build one row per setting
+  for (const f of VT_SETTINGS_FIELDS) {
+    const isBool = f.type === 'boolean';
+    const isText = f.type === 'text';
+    const row = document.createElement('div');
+    row.className = 'field';
+    row.innerHTML =
+      '<label for="opt-' + f.key + '"></label>' +
+      (isBool
+        ? '<input type="checkbox" id="opt-' + f.key + '" />'
+        : isText
+          ? '<input type="text" id="opt-' + f.key + '" />'
+          : '<input type="number" id="opt-' + f.key + '" step="1" />') +
+      '<span class="field-unit"></span>' +
+      '<div class="field-help"></div>' +
+      '<div class="field-error" style="display:none;"></div>';
+    row.querySelector('label').textContent = f.label;
+    row.querySelector('.field-unit').textContent = f.unit || '';
+    row.querySelector('.field-help').textContent = isBool
+      ? f.help + ' Default ' + (f.def ? 'on' : 'off') + '.'
+      : isText
+        ? f.help
+        : f.help + ' Default ' + f.def + ', range ' + f.min + '\u2013' + f.max + '.';
+    const input = row.querySelector('input');
+    if (isText) {
+      input.maxLength = f.maxLength;
+    } else if (!isBool) {
+      input.min = f.min;
+      input.max = f.max;
+    }
+    input.addEventListener(isBool ? 'change' : 'input', validate);
+    sectionBody(f.section || VT_DEFAULT_SECTION).appendChild(row);
+  }
+
+  function readForm() {
+    const raw = {};
+    for (const f of VT_SETTINGS_FIELDS) {
+      const input = document.getElementById('opt-' + f.key);
+      raw[f.key] = f.type === 'boolean' ? input.checked : input.value.trim();
+    }
+    return raw;
+  }
+
+  function fillForm(values) {
+    for (const f of VT_SETTINGS_FIELDS) {
+      const input = document.getElementById('opt-' + f.key);
+      if (f.type === 'boolean') input.checked = !!values[f.key];
+      else input.value = values[f.key];
+    }
+    validate();
+  }
+
+  // ---------- Status rules table ----------
+  const soundOptions = VT_STATUS_SOUNDS.map(s =>
+    '<option value="' + s.key + '">' + s.label + '</option>').join('');
+
+  function addRuleRow(rule) {
+    const tr = document.createElement('tr');
+    tr.innerHTML =
+      '<td><input type="text" data-k="match" /></td>' +
+      '<td class="center"><input type="checkbox" data-k="regex" /></td>' +
+      '<td class="center"><input type="color" data-k="color" /></td>' +
+      '<td class="center"><input type="checkbox" data-k="dim" /></td>' +
+      '<td class="center"><input type="checkbox" data-k="completed" /></td>' +
+      '<td><select data-k="sound">' + soundOptions + '</select></td>' +
+      '<td><button class="rule-btn" data-move="-1" title="Move up">\u25b2</button>' +
+        '<button class="rule-btn" data-move="1" title="Move down">\u25bc</button>' +
+        '<button class="rule-btn" data-remove title="Remove">\u00d7</button></td>';
+    tr.querySelector('[data-k="match"]').value = rule.match;
+    tr.querySelector('[data-k="regex"]').checked = rule.regex;
+    tr.querySelector('[data-k="color"]').value = rule.color || '#8896a8';
+    tr.querySelector('[data-k="dim"]').checked = rule.dim;
+    tr.querySelector('[data-k="completed"]').checked = rule.completed;
+    tr.querySelector('[data-k="sound"]').value = rule.sound;
+    rulesBody.appendChild(tr);
+  }
+
+  function readRules() {
+    return [...rulesBody.rows].map(tr => ({
+      match: tr.querySelector('[data-k="match"]').value,
+      regex: tr.querySelector('[data-k="regex"]').checked,
+      color: tr.querySelector('[data-k="color"]').value,
+      dim: tr.querySelector('[data-k="dim"]').checked,
+      completed: tr.querySelector('[data-k="completed"]').checked,
+      sound: tr.querySelector('[data-k="sound"]').value,
+    }));
+  }
+
+  function fillRules(rules) {
+    rulesBody.innerHTML = '';
+    rules.forEach(addRuleRow);
+    validate();
+  }
+
+  rulesBody.addEventListener('input', validate);
+  rulesBody.addEventListener('change', validate);
+  rulesBody.addEventListener('click', (e) => {
+    const tr = e.target.closest('tr');
+    if (!tr) return;
+    if (e.target.closest('[data-remove]')) {
+      tr.remove();
+    } else if (e.target.closest('[data-move]')) {
+      const dir = Number(e.target.closest('[data-move]').getAttribute('data-move'));
+      const sibling = dir < 0 ? tr.previousElementSibling : tr.nextElementSibling;
+      if (sibling) rulesBody.insertBefore(tr, dir < 0 ? sibling : sibling.nextElementSibling);
+    } else {
+      return;
+    }
+    validate();
+  });
+  document.getElementById('add-rule-btn').addEventListener('click', () => {
+    addRuleRow({ match: '', regex: false, color: '', dim: false, completed: false, sound: 'none' });
+    rulesBody.lastElementChild.querySelector('[data-k="match"]').focus();
+    validate();
+  });
+
+  // ---------- Header aliases table ----------
+  const fieldOptions = '<option value="">\u2014 choose \u2014</option>' +
+    VT_HEADER_FIELDS.map(f => '<option value="' + f.key + '">' + f.label + '</option>').join('');
+  document.getElementById('required-fields').textContent =
+    VT_HEADER_FIELDS.filter(f => f.required).map(f => f.label).join(', ');
+
+  function addAliasRow(alias) {
+    const tr = document.createElement('tr');
+    tr.innerHTML =
+      '<td><input type="text" data-k="header" /></td>' +
+      '<td><select data-k="field">' + fieldOptions + '</select></td>' +
+      '<td><button class="rule-btn" data-remove title="Remove">\u00d7</button></td>';
+    tr.querySelector('[data-k="header"]').value = alias.header;
+    tr.querySelector('[data-k="field"]').value = alias.field;
+    aliasesBody.appendChild(tr);
+  }
+
+  function readAliases() {
+    return [...aliasesBody.rows].map(tr => ({
+      header: tr.querySelector('[data-k="header"]').value,
+      field: tr.querySelector('[data-k="field"]').value,
+    }));
+  }
+
+  function fillAliases(aliases) {
+    aliasesBody.innerHTML = '';
+    aliases.forEach(addAliasRow);
+    validate();
+  }
+
+  // The wallboard's schema banner links here with the headers it didn't
+  // recognise; offer each one as an alias row still needing a field
+  function prefillAliasesFromHash() {
+    const m = location.hash.match(/^#aliases=(.*)$/);
+    if (!m) return;
+    let headers;
+    try {
+      headers = JSON.parse(decodeURIComponent(m[1]));
+    } catch (_) {
+      return;
+    }
+    if (!Array.isArray(headers)) return;
+    const existing = new Set(readAliases().map(a => a.header.trim().toUpperCase()));
+    for (const h of headers) {
+      if (typeof h !== 'string' || !h.trim() || existing.has(h.trim().toUpperCase())) continue;
+      addAliasRow({ header: h.trim(), field: '' });
+    }
+    validate();
+    document.getElementById('aliases-section').scrollIntoView();
+  }
+
+  aliasesBody.addEventListener('input', validate);
+  aliasesBody.addEventListener('change', validate);
+  aliasesBody.addEventListener('click', (e) => {
+    if (!e.target.closest('[data-remove]')) return;
+    e.target.closest('tr').remove();
+    validate();
+  });
+  document.getElementById('add-alias-btn').addEventListener('click', () => {
+    addAliasRow({ header: '', field: '' });
+    aliasesBody.lastElementChild.querySelector('[data-k="header"]').focus();
+    validate();
+  });
+
+  // ---------- Capability dictionary ----------
+  function addCapRow(cap) {
+    const tr = document.createElement('tr');
+    tr.innerHTML =
+      '<td><input type="text" data-k="icon" maxlength="8" /></td>' +
+      '<td><input type="text" data-k="label" maxlength="24" /></td>' +
+      '<td><input type="text" data-k="codes" /></td>' +
+      '<td><input type="text" data-k="keywords" /></td>' +
+      '<td><button class="rule-btn" data-remove title="Remove">\u00d7</button></td>';
+    tr.querySelector('[data-k="icon"]').value = cap.icon;
+    tr.querySelector('[data-k="label"]').value = cap.label;
+    tr.querySelector('[data-k="codes"]').value = cap.codes.join(', ');
+    tr.querySelector('[data-k="keywords"]').value = cap.keywords.join(', ');
+    capsBody.appendChild(tr);
+  }
+
+  function readCaps() {
+    return [...capsBody.rows].map(tr => ({
+      icon: tr.querySelector('[data-k="icon"]').value,
+      label: tr.querySelector('[data-k="label"]').value,
+      codes: tr.querySelector('[data-k="codes"]').value,
+      keywords: tr.querySelector('[data-k="keywords"]').value,
+    }));
+  }
+
+  function fillCaps(caps) {
+    capsBody.innerHTML = '';
+    caps.forEach(addCapRow);
+    validate();
+  }
+
+  capsBody.addEventListener('input', validate);
+  capsBody.addEventListener('click', (e) => {
+    if (!e.target.closest('[data-remove]')) return;
+    e.target.closest('tr').remove();
+    validate();
+  });
+  document.getElementById('add-cap-btn').addEventListener('click', () => {
+    addCapRow({ icon: '', label: '', codes: [], keywords: [] });
+    capsBody.lastElementChild.querySelector('[data-k="icon"]').focus();
+    validate();
+  });
+
+  // Show inline errors; returns the validation result
+  function validate() {
+    const raw = readForm();
+    const result = vtValidateSettings(raw);
+    let missing = false;
+    for (const f of VT_SETTINGS_FIELDS) {
+      const input = document.getElementById('opt-' + f.key);
+      const errEl = input.parentElement.querySelector('.field-error');
+      let err = result.errors[f.key];
+      if (!err && raw[f.key] === '' && f.type !== 'text') err = 'Required';
+      if (err === 'Required') missing = true;
+      input.classList.toggle('invalid', !!err);
+      errEl.textContent = err || '';
+      errEl.style.display = err ? 'block' : 'none';
+    }
+
+    const rules = vtValidateStatusRules(readRules());
+    [...rulesBody.rows].forEach((tr, i) => tr.classList.toggle('invalid', !!rules.errors[i]));
+    const ruleErrors = Object.entries(rules.errors).map(([i, msg]) => 'Rule ' + (Number(i) + 1) + ': ' + msg);
+    rulesError.textContent = ruleErrors.join(' \u00b7 ');
+    rulesError.style.display = ruleErrors.length > 0 ? 'block' : 'none';
+
+    const aliases = vtValidateHeaderAliases(readAliases());
+    [...aliasesBody.rows].forEach((tr, i) => tr.classList.toggle('invalid', !!aliases.errors[i]));
+    const aliasErrors = Object.entries(aliases.errors).map(([i, msg]) => 'Alias ' + (Number(i) + 1) + ': ' + msg);
+    aliasesError.textContent = aliasErrors.join(' \u00b7 ');
+    aliasesError.style.display = aliasErrors.length > 0 ? 'block' : 'none';
+
+    const caps = vtValidateCapabilities(readCaps());
+    [...capsBody.rows].forEach((tr, i) => tr.classList.toggle('invalid', !!caps.errors[i]));
+    const capErrors = Object.entries(caps.errors).map(([i, msg]) => 'Entry ' + (Number(i) + 1) + ': ' + msg);
+    capsError.textContent = capErrors.join(' \u00b7 ');
+    capsError.style.display = capErrors.length > 0 ? 'block' : 'none';
+
+    const valid = Object.keys(result.errors).length === 0 && !missing &&
+      ruleErrors.length === 0 && aliasErrors.length === 0 && capErrors.length === 0;
+    saveBtn.disabled = !valid;
+    return valid
+      ? { values: result.values, rules: rules.rules, aliases: aliases.aliases, capabilities: caps.capabilities }
+      : null;
+  }
+
+  function showStatus(text, isError) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle('error', !!isError);
+    if (!isError) setTimeout(() => { statusEl.textContent = ''; }, 2500);
+  }
+
+  saveBtn.addEventListener('click', () => {
+    const result = validate();
+    if (!result) {
+      showStatus('Fix the highlighted fields first', true);
+      return;
+    }
+    chrome.storage.sync.set({
+      [VT_SETTINGS_KEY]: result.values,
+      [VT_STATUS_RULES_KEY]: result.rules,
+      [VT_HEADER_ALIASES_KEY]: result.aliases,
+      [VT_CAPABILITIES_KEY]: result.capabilities,
+    }, () => {
+      if (chrome.runtime.lastError) {
+        showStatus('Could not save: ' + chrome.runtime.lastError.message, true);
+      } else {
+        showStatus('Saved — applied to open wallboards');
+      }
+    });
+  });
+
+  resetBtn.addEventListener('click', () => {
+    chrome.storage.sync.remove([VT_SETTINGS_KEY, VT_STATUS_RULES_KEY, VT_HEADER_ALIASES_KEY, VT_CAPABILITIES_KEY], () => {
+      fillForm(VT_DEFAULT_SETTINGS);
+      fillRules(vtValidateStatusRules(null).rules);
+      fillAliases([]);
+      fillCaps(vtValidateCapabilities(null).capabilities);
+      showStatus('Defaults restored');
+    });
+  });
+
+  vtLoadSettings((values, rules, aliases, capabilities) => {
+    fillForm(values);
+    fillRules(rules);
+    fillAliases(aliases);
+    fillCaps(capabilities);
+    prefillAliasesFromHash();
+  });
+});
@@ -1,12 +1,134 @@
 // ============================================================
 //  Voss Taxi Wallboard — Popup Script
-//  Shows extension status and live booking stats.
+//  Shows extension status and live booking stats, switches saved
+//  views and privacy mode and controls table recording for offline
+//  replay.
 // ============================================================
 
 document.addEventListener('DOMContentLoaded', () => {
   const statusBadge = document.getElementById('status-badge');
   const statsSection = document.getElementById('stats-section');
 
+  // Dedicated window for a TV or second monitor; the service worker focuses
+  // it instead if one is already open
+  document.getElementById('wallboard-btn').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'vtOpenWallboard' });
+    window.close();
+  });
+
+  document.getElementById('options-btn').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Saved views: switch every open wallboard (tab overlay and window)
+  chrome.storage.sync.get(VT_VIEWS_KEY, (r) => {
+    const views = (r && r[VT_VIEWS_KEY]) || [];
+    const list = document.getElementById('views-list');
+    VT_VIEW_KEYS.forEach((key, slot) => {
+      const view = views[slot];
+      if (!view || !view.name) return;
+      const btn = document.createElement('button');
+      btn.className = 'popup-btn';
+      btn.textContent = key + ' \u00b7 ' + view.name;
+      btn.addEventListener('click', () => applyView(slot));
+      list.appendChild(btn);
+    });
+    if (list.children.length > 0) document.getElementById('views-section').style.display = 'block';
+  });
+
+  function applyView(slot) {
+    chrome.runtime.sendMessage({ type: 'vtApplyView', slot });
+    chrome.tabs.query({ url: ['*://taxiportalen.no/*', '*://*.taxiportalen.no/*'] }, (tabs) => {
+      for (const tab of tabs || []) {
+        chrome.tabs.sendMessage(tab.id, { type: 'vtApplyView', slot }, { frameId: 0 }, () => {
+          void chrome.runtime.lastError; // tab without the content script
+        });
+      }
+      window.close();
+    });
+  }
+
+  // Privacy mode: every open wallboard follows VT_PRIVACY_KEY
+  const privacyBadge = document.getElementById('privacy-badge');
+  const privacyBtn = document.getElementById('privacy-btn');
+  let privacy = false;
+
+  function renderPrivacy() {
+    privacyBadge.textContent = privacy ? 'On' : 'Off';
+    privacyBadge.className = 'badge ' + (privacy ? 'badge-ok' : 'badge-gray');
+    privacyBtn.textContent = privacy ? 'Show passenger details' : 'Mask passenger details';
+  }
+
+  privacyBtn.addEventListener('click', () => {
+    chrome.storage.local.set({ [VT_PRIVACY_KEY]: !privacy });
+  });
+
+  // Recording: the Taxiportalen tab snapshots the table while active
+  const recBadge = document.getElementById('rec-badge');
+  const recBtn = document.getElementById('rec-btn');
+  const recDownloadBtn = document.getElementById('rec-download-btn');
+  const recError = document.getElementById('rec-error');
+  let recording = null; // { active, startedAt }
+  let recIndex = null;  // the recorder's index of stored frames
+
+  function renderRecording() {
+    const active = !!(recording && recording.active);
+    const current = recIndex && recording && recIndex.startedAt === recording.startedAt ? recIndex : null;
+    const failed = !!(current && current.error);
+    const frames = recIndex && Array.isArray(recIndex.sizes) ? recIndex.sizes.length : 0;
+    const bytes = frames > 0 ? recIndex.sizes.reduce((a, b) => a + b, 0) : 0;
+    recBadge.textContent = failed ? 'Failed' : active ? 'Recording' : 'Off';
+    recBadge.className = 'badge ' + (failed || active ? 'badge-red' : 'badge-gray');
+    document.getElementById('rec-frames').textContent =
+      frames + (frames === 0 ? ''
+        : bytes < 1048576 ? ' \u00b7 ' + Math.ceil(bytes / 1024) + ' KB'
+          : ' \u00b7 ' + (bytes / 1048576).toFixed(1) + ' MB');
+    recError.textContent = failed ? 'Recording stopped: ' + current.error : '';
+    recError.style.display = failed ? 'block' : 'none';
+    recBtn.textContent = active ? 'Stop recording' : 'Start new recording';
+    recDownloadBtn.disabled = frames === 0;
+  }
+
+  chrome.storage.local.get([VT_RECORDING_KEY, VT_RECORDING_INDEX_KEY, VT_PRIVACY_KEY], (r) => {
+    recording = (r && r[VT_RECORDING_KEY]) || null;
+    recIndex = (r && r[VT_RECORDING_INDEX_KEY]) || null;
+    privacy = !!(r && r[VT_PRIVACY_KEY]);
+    renderPrivacy();
+    renderRecording();
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes[VT_RECORDING_KEY]) recording = changes[VT_RECORDING_KEY].newValue || null;
+    if (changes[VT_RECORDING_INDEX_KEY]) recIndex = changes[VT_RECORDING_INDEX_KEY].newValue || null;
+    if (changes[VT_PRIVACY_KEY]) privacy = !!changes[VT_PRIVACY_KEY].newValue;
+    renderPrivacy();
+    renderRecording();
+  });
+
+  // Starting replaces the stored recording; stopping keeps it for replay
+  recBtn.addEventListener('click', () => {
+    const next = recording && recording.active
+      ? { active: false, startedAt: recording.startedAt }
+      : { active: true, startedAt: Date.now() };
+    chrome.storage.local.set({ [VT_RECORDING_KEY]: next });
+  });
+
+  recDownloadBtn.addEventListener('click', () => vtLoadRecording((rec) => {
+    if (rec.frames.length === 0) return;
+    const d = new Date(rec.startedAt || Date.now());
+    const pad = (n) => String(n).padStart(2, '0');
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([JSON.stringify(rec)], { type: 'application/json' }));
+    a.download = 'vt-recording-' + d.getFullYear() + pad(d.getMonth() + 1) + pad(d.getDate()) +
+      '-' + pad(d.getHours()) + pad(d.getMinutes()) + '.json';
+    a.click();
+  }));
+
+  document.getElementById('replay-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('wallboard.html#replay') });
+    window.close();
+  });
+
   // Check for active Taxiportalen tabs
   if (chrome.tabs) {
     chrome.tabs.query({ url: ['*://taxiportalen.no/*', '*://*.taxiportalen.no/*'] }, (tabs) => {
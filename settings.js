@@ -0,0 +1,345 @@
+// ============================================================
+//  Voss Taxi Wallboard — Shared Settings
+//  Tuning constants, their defaults and validation. Loaded by
+//  the content script, the options page and the popup.
+// ============================================================
+
+// chrome.storage.sync key holding the saved settings object
+const VT_SETTINGS_KEY = 'vtSettings';
+
+// Every tunable value: storage key, label, default and allowed range
+// (numbers), on/off (type 'boolean') or free text up to maxLength (type
+// 'text'). The options page is generated from this list, one block per
+// section.
+const VT_SETTINGS_FIELDS = [
+  { key: 'pollIntervalMs',         label: 'Poll interval',             unit: 'ms',    def: 4000,  min: 1000, max: 60000,
+    help: 'Fallback re-parse of the Taxiportalen table.' },
+  { key: 'mutationDebounceMs',     label: 'Change debounce',           unit: 'ms',    def: 300,   min: 0,    max: 5000,
+    help: 'Wait after a table change before re-parsing.' },
+  { key: 'scrollIdleMs',           label: 'Auto-scroll idle time',     unit: 'ms',    def: 45000, min: 5000, max: 600000,
+    help: 'Scroll back to the first active booking after this long without interaction.' },
+  { key: 'underSendingChimeMs',    label: 'UNDER SENDING chime every', unit: 'ms',    def: 30000, min: 5000, max: 600000,
+    help: 'Repeat interval while any booking is UNDER SENDING.' },
+  { key: 'upcomingMinutes',        label: 'Upcoming highlight',        unit: 'min',   def: 5,     min: 1,    max: 60,
+    help: 'Glow a booking this many minutes before UTROP.' },
+  { key: 'timeWindowHours',        label: 'Time window',               unit: 'h (±)', def: 24,    min: 1,    max: 72,
+    help: 'Only show bookings with OPPMOTE within this many hours of now.' },
+  { key: 'changeHighlightMinutes', label: 'Changed-field highlight',   unit: 'min',   def: 3,     min: 1,    max: 60,
+    help: 'How long "old → new" stays on a card after Taxiportalen edits a booking.' },
+  { key: 'ghostMinutes',           label: 'Removed booking ghost',     unit: 'min',   def: 10,    min: 1,    max: 120,
+    help: 'Keep unfinished bookings that vanish from Taxiportalen as struck-through "Fjernet" cards.' },
+  { key: 'utropBucketSize',        label: 'UTROP chime bucket',        unit: 'min',   def: 5,     min: 1,    max: 60,
+    help: 'Chime once per booking at the start of its UTROP bucket.' },
+
+  { key: 'notifyUnderSending', label: 'New UNDER SENDING',   type: 'boolean', def: false, section: 'Desktop notifications',
+    help: 'Notify when a booking enters UNDER SENDING while the Taxiportalen tab is not in view.' },
+  { key: 'notifyUtrop',        label: 'UTROP reached',       type: 'boolean', def: false, section: 'Desktop notifications',
+    help: 'Notify when a trip reaches its UTROP chime bucket.' },
+  { key: 'notifyCancelled',    label: 'Cancelled / removed', type: 'boolean', def: false, section: 'Desktop notifications',
+    help: 'Notify when an unfinished booking disappears from Taxiportalen.' },
+
+  { key: 'dispatcherName',    label: 'Your name',            type: 'text', def: '', maxLength: 40, section: 'Acknowledgements',
+    help: 'Shown on bookings you acknowledge.' },
+  { key: 'ackRealertMinutes', label: 'Re-alert after', unit: 'min', def: 5, min: 1, max: 60, section: 'Acknowledgements',
+    help: 'An acknowledged booking chimes again after this long if it is still UNDER SENDING.' },
+
+  { key: 'escalateTier1Minutes', label: 'Tier 1 after', unit: 'min', def: 2,  min: 1, max: 120, section: 'UNDER SENDING escalation',
+    help: 'Minutes in UNDER SENDING before a booking turns tier 1 (stronger highlight and chime).' },
+  { key: 'escalateTier2Minutes', label: 'Tier 2 after', unit: 'min', def: 5,  min: 1, max: 120, section: 'UNDER SENDING escalation',
+    help: 'Tier 2: flashing card and a more urgent tone. Must be later than tier 1.' },
+  { key: 'escalateTier3Minutes', label: 'Tier 3 after', unit: 'min', def: 10, min: 1, max: 120, section: 'UNDER SENDING escalation',
+    help: 'Tier 3: full alarm. Must be later than tier 2.' },
+
+  { key: 'overdueGraceMinutes',       label: 'Overdue after OPPMOTE', unit: 'min', def: 2, min: 0, max: 60, section: 'Overdue',
+    help: 'Minutes past OPPMOTE before a booking without an accepted car (JA-SVAR or completed) counts as overdue.' },
+  { key: 'overdueAlarm',              label: 'Overdue alarm',         type: 'boolean', def: true, section: 'Overdue',
+    help: 'Sound an alarm when a booking becomes overdue.' },
+  { key: 'overdueAlarmRepeatMinutes', label: 'Repeat alarm every',    unit: 'min', def: 3, min: 0, max: 60, section: 'Overdue',
+    help: 'Sound it again while the booking stays overdue. 0 sounds it once.' },
+
+  { key: 'taxiMinGapMinutes', label: 'Minimum gap between trips', unit: 'min', def: 10, min: 0, max: 120, section: 'Taxi conflicts',
+    help: 'Flag one taxi on two trips whose UTROP–OPPMOTE windows overlap or are closer than this.' },
+
+  { key: 'laneHours', label: 'Lane view span', unit: 'h', def: 6, min: 2, max: 24, section: 'Fleet lanes',
+    help: 'Hours shown in the lane-per-taxi layout, starting one hour before now.' },
+];
+
+// Settings that must be strictly increasing, in this order
+const VT_ASCENDING_SETTINGS = ['escalateTier1Minutes', 'escalateTier2Minutes', 'escalateTier3Minutes'];
+
+const VT_DEFAULT_SECTION = 'Timing & thresholds';
+
+const VT_DEFAULT_SETTINGS = {};
+for (const f of VT_SETTINGS_FIELDS) VT_DEFAULT_SETTINGS[f.key] = f.def;
+
+// Validate a raw settings object. Returns the merged values (invalid or
+// missing entries fall back to their defaults) and an error per bad key.
+function vtValidateSettings(raw) {
+  const values = { ...VT_DEFAULT_SETTINGS };
+  const errors = {};
+  if (!raw || typeof raw !== 'object') return { values, errors };
+
+  for (const f of VT_SETTINGS_FIELDS) {
+    if (raw[f.key] === undefined) continue;
+    if (f.type === 'text') {
+      const text = String(raw[f.key]).trim();
+      if (text.length > f.maxLength) errors[f.key] = 'At most ' + f.maxLength + ' characters';
+      else values[f.key] = text;
+      continue;
+    }
+    if (raw[f.key] === '') continue;
+    if (f.type === 'boolean') {
+      if (typeof raw[f.key] === 'boolean') values[f.key] = raw[f.key];
+      else errors[f.key] = 'Must be on or off';
+      continue;
+    }
+    const n = Number(raw[f.key]);
+    if (!Number.isInteger(n)) {
+      errors[f.key] = 'Must be a whole number';
+    } else if (n < f.min || n > f.max) {
+      errors[f.key] = 'Must be between ' + f.min + ' and ' + f.max;
+    } else {
+      values[f.key] = n;
+    }
+  }
+
+  for (let i = 1; i < VT_ASCENDING_SETTINGS.length; i++) {
+    const prev = VT_ASCENDING_SETTINGS[i - 1];
+    const key = VT_ASCENDING_SETTINGS[i];
+    if (errors[prev] || errors[key] || values[key] > values[prev]) continue;
+    errors[key] = 'Must be more than ' + values[prev];
+    values[key] = Math.max(VT_DEFAULT_SETTINGS[key], values[prev] + 1);
+  }
+  return { values, errors };
+}
+
+// ------------------------------------------------------------
+//  Status rules: how each Taxiportalen STATUS is shown and treated
+// ------------------------------------------------------------
+
+// chrome.storage.sync key holding the rule list
+const VT_STATUS_RULES_KEY = 'vtStatusRules';
+
+// Sounds a rule can play when a booking enters its status
+const VT_STATUS_SOUNDS = [
+  { key: 'none',   label: 'None' },
+  { key: 'chime',  label: 'Chime (UTROP)' },
+  { key: 'alert',  label: 'Alert (UNDER SENDING)' },
+  { key: 'beep',   label: 'Beep (new booking)' },
+  { key: 'change', label: 'Change' },
+  { key: 'drop',   label: 'Drop (removed)' },
+  { key: 'alarm',  label: 'Alarm (overdue)' },
+];
+
+// First matching rule wins. match is the status text, or a regular
+// expression when regex is set (both case-insensitive). dim greys out the
+// card once the trip is in the past; completed counts the booking as done
+// (Done filter, stats, never overdue). UNDER SENDING keeps its repeating,
+// escalating chime whatever its rule says.
+const VT_DEFAULT_STATUS_RULES = [
+  { match: 'UNDER SENDING',        regex: false, color: '#fca5a5', dim: false, completed: false, sound: 'none' },
+  { match: 'JA-SVAR',              regex: false, color: '#86efac', dim: true,  completed: true,  sound: 'none' },
+  { match: 'KLAR FOR FAKTURERING', regex: false, color: '#8896a8', dim: true,  completed: true,  sound: 'none' },
+  { match: 'KONTANT',              regex: false, color: '#8896a8', dim: true,  completed: true,  sound: 'none' },
+  { match: 'KREDITT',              regex: false, color: '#8896a8', dim: true,  completed: true,  sound: 'none' },
+  { match: 'ENDRET',               regex: false, color: '#fdba74', dim: false, completed: false, sound: 'none' },
+  { match: 'BEH.MANUELT',          regex: false, color: '#c4b5fd', dim: false, completed: false, sound: 'none' },
+  { match: 'ADD-ONS',              regex: false, color: '#93c5fd', dim: false, completed: false, sound: 'none' },
+];
+
+// Validate a raw rule list. Returns the usable rules (the defaults when
+// nothing is stored) and errors keyed by rule index.
+function vtValidateStatusRules(raw) {
+  if (!Array.isArray(raw)) return { rules: VT_DEFAULT_STATUS_RULES.map(r => ({ ...r })), errors: {} };
+  const rules = [];
+  const errors = {};
+  raw.forEach((r, i) => {
+    const rule = {
+      match: String((r && r.match) || '').trim(),
+      regex: !!(r && r.regex),
+      color: r && /^#[0-9a-f]{6}$/i.test(r.color) ? r.color : '',
+      dim: !!(r && r.dim),
+      completed: !!(r && r.completed),
+      sound: r && VT_STATUS_SOUNDS.some(s => s.key === r.sound) ? r.sound : 'none',
+    };
+    if (!rule.match) {
+      errors[i] = 'Status text is required';
+      return;
+    }
+    if (rule.regex) {
+      try {
+        new RegExp(rule.match, 'i');
+      } catch (e) {
+        errors[i] = 'Invalid pattern: ' + e.message;
+        return;
+      }
+    }
+    rules.push(rule);
+  });
+  return { rules, errors };
+}
+
+// ------------------------------------------------------------
+//  Header aliases: extra Taxiportalen column names per field
+// ------------------------------------------------------------
+
+// chrome.storage.sync key holding [{ header, field }]
+const VT_HEADER_ALIASES_KEY = 'vtHeaderAliases';
+
+// Booking fields a column can map to. The wallboard blocks with a schema
+// warning when a required one is missing from the grid.
+const VT_HEADER_FIELDS = [
+  { key: 'utrop',          label: 'UTROP',           required: true },
+  { key: 'oppmote',        label: 'OPPMOTE',         required: true },
+  { key: 'status',         label: 'STATUS',          required: true },
+  { key: 'taxi',           label: 'TAXI',            required: true },
+  { key: 'fra',            label: 'FRA',             required: true },
+  { key: 'til',            label: 'TIL' },
+  { key: 'navn',           label: 'NAVN' },
+  { key: 'tlf',            label: 'TLF' },
+  { key: 'meldingTilBil',  label: 'MELDING TIL BIL' },
+  { key: 'egenskap',       label: 'EGENSKAP' },
+  { key: 'behandlingstid', label: 'BEHANDLINGSTID' },
+  { key: 'bet',            label: 'BET' },
+  { key: 'ref',            label: 'REF' },
+  { key: 'altturid',       label: 'ALTTURID' },
+  { key: 'rekvirent',      label: 'REKVIRENT' },
+  { key: 'fakturnr',       label: 'FAKTURNR' },
+  { key: 'turid',          label: 'TURID' },
+  { key: 'internnr',       label: 'INTERNNR' },
+];
+
+// Validate a raw alias list. Headers are matched upper-cased, exactly.
+// Returns the usable aliases and errors keyed by index.
+function vtValidateHeaderAliases(raw) {
+  const aliases = [];
+  const errors = {};
+  const seen = new Set();
+  (Array.isArray(raw) ? raw : []).forEach((a, i) => {
+    const header = String((a && a.header) || '').trim().toUpperCase();
+    const field = a && a.field;
+    if (!header) {
+      errors[i] = 'Header text is required';
+    } else if (!VT_HEADER_FIELDS.some(f => f.key === field)) {
+      errors[i] = 'Choose a field';
+    } else if (seen.has(header)) {
+      errors[i] = '"' + header + '" is listed twice';
+    } else {
+      seen.add(header);
+      aliases.push({ header, field });
+    }
+  });
+  return { aliases, errors };
+}
+
+// ------------------------------------------------------------
+//  Capabilities: EGENSKAP codes and MELDING keywords decoded
+//  into vehicle and passenger requirements
+// ------------------------------------------------------------
+
+// chrome.storage.sync key holding [{ icon, label, codes, keywords }]
+const VT_CAPABILITIES_KEY = 'vtCapabilities';
+
+// codes are matched against the words of EGENSKAP exactly, keywords
+// anywhere in MELDING TIL BIL (both ignore case). A starting point: add
+// the codes your Taxiportalen account actually uses.
+const VT_DEFAULT_CAPABILITIES = [
+  { icon: '\u267f',       label: 'Wheelchair', codes: ['RS', 'RULLESTOL'],  keywords: ['rullestol'] },
+  { icon: '\ud83d\udecf', label: 'Stretcher',  codes: ['BÅ', 'BÅRE'],       keywords: ['båre'] },
+  { icon: '\ud83d\udc76', label: 'Child seat', codes: ['BS', 'BARNESETE'],  keywords: ['barnesete', 'bilstol'] },
+  { icon: '\ud83d\ude90', label: 'Large car',  codes: ['SB', 'STORBIL'],    keywords: ['storbil', 'maxitaxi'] },
+];
+
+// Validate a raw capability list. codes and keywords may be arrays or
+// comma-separated text. Returns the usable entries (the defaults when
+// nothing is stored) and errors keyed by index.
+function vtValidateCapabilities(raw) {
+  if (!Array.isArray(raw)) {
+    return { capabilities: VT_DEFAULT_CAPABILITIES.map(c => ({ ...c, codes: [...c.codes], keywords: [...c.keywords] })), errors: {} };
+  }
+  const list = (v) => (Array.isArray(v) ? v : String(v || '').split(','))
+    .map(x => String(x).trim()).filter(Boolean);
+  const capabilities = [];
+  const errors = {};
+  raw.forEach((c, i) => {
+    const cap = {
+      icon: String((c && c.icon) || '').trim(),
+      label: String((c && c.label) || '').trim(),
+      codes: list(c && c.codes).map(x => x.toUpperCase()),
+      keywords: list(c && c.keywords).map(x => x.toLowerCase()),
+    };
+    if (!cap.icon || !cap.label) {
+      errors[i] = 'Icon and label are required';
+    } else if (cap.codes.length === 0 && cap.keywords.length === 0) {
+      errors[i] = 'Add an EGENSKAP code or a MELDING keyword';
+    } else {
+      capabilities.push(cap);
+    }
+  });
+  return { capabilities, errors };
+}
+
+// Read the stored settings, status rules, header aliases and capabilities
+// and pass the validated values to the callback
+function vtLoadSettings(callback) {
+  chrome.storage.sync.get([VT_SETTINGS_KEY, VT_STATUS_RULES_KEY, VT_HEADER_ALIASES_KEY, VT_CAPABILITIES_KEY], (r) => {
+    callback(vtValidateSettings(r && r[VT_SETTINGS_KEY]).values,
+      vtValidateStatusRules(r && r[VT_STATUS_RULES_KEY]).rules,
+      vtValidateHeaderAliases(r && r[VT_HEADER_ALIASES_KEY]).aliases,
+      vtValidateCapabilities(r && r[VT_CAPABILITIES_KEY]).capabilities);
+  });
+}
+
+// ------------------------------------------------------------
+//  Recording: table snapshots for offline replay
+// ------------------------------------------------------------
+
+// chrome.storage.local key holding { active, startedAt }, switched by the popup
+const VT_RECORDING_KEY = 'vtRecording';
+
+// chrome.storage.local key holding the recorder's index of stored frames,
+// { startedAt, first, sizes, error }: frame first + i is stored under
+// VT_RECORDING_FRAME_PREFIX + (first + i) and takes sizes[i] bytes. Only the
+// frame holding the table writes it, one small item per snapshot.
+const VT_RECORDING_INDEX_KEY = 'vtRecordingIndex';
+const VT_RECORDING_FRAME_PREFIX = 'vtRecordingFrame:';
+
+// Oldest frames are dropped beyond either limit, keeping the most recent
+// stretch. The byte limit leaves room in the 10 MB chrome.storage.local
+// quota for acknowledgements, notes and session state.
+const VT_RECORDING_MAX_FRAMES = 400;
+const VT_RECORDING_MAX_BYTES = 6 * 1024 * 1024;
+
+// Read the stored recording and pass { startedAt, frames: [{ at, html }] }
+// (frames oldest first) and the index to the callback
+function vtLoadRecording(callback) {
+  chrome.storage.local.get(VT_RECORDING_INDEX_KEY, (r) => {
+    const index = r && r[VT_RECORDING_INDEX_KEY];
+    if (!index || !Array.isArray(index.sizes)) {
+      callback({ startedAt: null, frames: [] }, null);
+      return;
+    }
+    const keys = index.sizes.map((_, i) => VT_RECORDING_FRAME_PREFIX + (index.first + i));
+    chrome.storage.local.get(keys, (f) => {
+      callback({ startedAt: index.startedAt, frames: keys.map(k => f && f[k]).filter(Boolean) }, index);
+    });
+  });
+}
+
+// ------------------------------------------------------------
+//  Views: named wallboard setups, switched from the overlay or popup
+// ------------------------------------------------------------
+
+// chrome.storage.sync key holding one view or null per entry of VT_VIEW_KEYS
+const VT_VIEWS_KEY = 'vtViews';
+
+// Number keys the view slots are bound to, next to the 1–5 filter keys
+const VT_VIEW_KEYS = ['6', '7', '8', '9'];
+
+// ------------------------------------------------------------
+//  Privacy mode: passenger details masked on screen
+// ------------------------------------------------------------
+
+// chrome.storage.local key for privacy mode (masked names, phones and
+// messages), shared by the tab overlay, the wallboard window and the popup
+const VT_PRIVACY_KEY = 'vtPrivacy';